@@ -30,11 +30,15 @@ let storage = new maker.ProjectStorage(BIPSI_HD ? "bipsi-hd" : "bipsi");
  * @typedef {Object} BipsiDataRoom
  * @property {number} id
  * @property {number} palette
- * @property {number[][]} tilemap
+ * @property {number[][]} tilemap rows of tile ids, as many as the room is tall
  * @property {number[][]} backmap
  * @property {number[][]} foremap
  * @property {number[][]} wallmap
  * @property {BipsiDataEvent[]} events
+ * @property {string} [music] name of the library file played in this room
+ * @property {{ north?: number, south?: number, east?: number, west?: number }} [neighbours] ids of the rooms walked into off each edge
+ * @property {string} [edgeTransition] screen transition when walking into a neighbouring room, e.g "slide" or "fade"
+ * @property {number} [darkness] how dark the cells lights don't reach are, from 0 to 1
  */
 
 /**
@@ -47,6 +51,15 @@ let storage = new maker.ProjectStorage(BIPSI_HD ? "bipsi-hd" : "bipsi");
  * @typedef {Object} BipsiDataPalette
  * @property {number} id 
  * @property {string[]} colors
+ * @property {string} [name] for scripts and ink tags to change rooms to this palette
+ * @property {BipsiDataPaletteCycle[]} [cycles] ranges of colors that rotate while playing
+ */
+
+/**
+ * @typedef {Object} BipsiDataPaletteCycle
+ * @property {number} from first color index of the range
+ * @property {number} to last color index of the range, colors move from "from" towards "to"
+ * @property {number} delay seconds between each step of the rotation
  */
 
 /**
@@ -103,6 +116,55 @@ const constants = {
 const TEMP_ROOM = createRendering2D(ROOM_PX, ROOM_PX);
 const TEMP_SCREEN = createRendering2D(SCREEN_PX, SCREEN_PX);
 
+/**
+ * Rooms are ROOM_SIZE cells square unless they've been made bigger, and their
+ * maps all have the same dimensions.
+ * @param {{ tilemap: number[][] }} room 
+ * @returns {number[]} width and height in cells
+ */
+function getRoomSize(room) {
+    return [room.tilemap[0]?.length ?? ROOM_SIZE, room.tilemap.length];
+}
+
+// the edges a room can have neighbours past, and the step across each
+const ROOM_EDGES = {
+    "north": [ 0, -1],
+    "south": [ 0,  1],
+    "west":  [-1,  0],
+    "east":  [ 1,  0],
+};
+
+/**
+ * @param {BipsiDataRoom} room 
+ * @param {number} x 
+ * @param {number} y 
+ */
+function isInRoom(room, x, y) {
+    const [width, height] = getRoomSize(room);
+    return x >= 0 && x < width && y >= 0 && y < height;
+}
+
+/**
+ * Grow or shrink the maps of a room, filling new cells the same as a blank
+ * room, and keep the events within the new size.
+ * @param {BipsiDataRoom} room 
+ * @param {number} width 
+ * @param {number} height 
+ */
+function resizeRoom(room, width, height) {
+    const resize = (map, value) => ZEROES(height).map((_, y) => ZEROES(width).map((_, x) => map[y]?.[x] ?? value));
+
+    room.tilemap = resize(room.tilemap, 0);
+    room.backmap = resize(room.backmap, 1);
+    room.foremap = resize(room.foremap, 2);
+    room.wallmap = resize(room.wallmap, 0);
+
+    room.events.forEach((event) => {
+        event.position[0] = Math.min(event.position[0], width - 1);
+        event.position[1] = Math.min(event.position[1], height - 1);
+    });
+}
+
 /**
  * @param {HTMLCanvasElement} tileset 
  * @param {number} index 
@@ -159,11 +221,20 @@ function makeTileToFrameMap(tiles, frame) {
  * @param {Map<number, number>} tileToFrame 
  * @param {BipsiDataPalette} palette 
  * @param {{ tilemap: number[][], backmap: number[][], foremap: number[][] }} layer 
+ * @param {number[]} camera cell at the top left of the destination
  */
-function drawTilemapLayer(destination, tileset, tileToFrame, palette, { tilemap, backmap, foremap }) {
+function drawTilemapLayer(destination, tileset, tileToFrame, palette, { tilemap, backmap, foremap }, camera=[0, 0]) {
+    const [width, height] = getRoomSize({ tilemap });
+    const [cx, cy] = [Math.round(camera[0] * TILE_PX) / TILE_PX, Math.round(camera[1] * TILE_PX) / TILE_PX];
+
+    // only the cells the destination shows
+    const [x0, y0] = [Math.max(0, Math.floor(cx)), Math.max(0, Math.floor(cy))];
+    const x1 = Math.min(width, Math.ceil(cx + destination.canvas.width / TILE_PX));
+    const y1 = Math.min(height, Math.ceil(cy + destination.canvas.height / TILE_PX));
+
     drawRecolorLayer(destination, (backg, color, tiles) => {
-        for (let ty = 0; ty < ROOM_SIZE; ++ty) {
-            for (let tx = 0; tx < ROOM_SIZE; ++tx) {
+        for (let ty = y0; ty < y1; ++ty) {
+            for (let tx = x0; tx < x1; ++tx) {
                 let back = backmap[ty][tx];
                 let fore = foremap[ty][tx];
                 let tileIndex = tilemap[ty][tx];
@@ -175,21 +246,22 @@ function drawTilemapLayer(destination, tileset, tileToFrame, palette, { tilemap,
 
                 const frameIndex = tileToFrame.get(tileIndex);
                 const { x, y, size } = getTileCoords(tileset.canvas, frameIndex);
+                const [px, py] = [(tx - cx) * size, (ty - cy) * size];
 
                 if (back > 0) {
                     backg.fillStyle = palette.colors[back];
-                    backg.fillRect(tx * size, ty * size, size, size);
+                    backg.fillRect(px, py, size, size);
                 }
 
                 if (fore > 0) {
                     color.fillStyle = palette.colors[fore];
-                    color.fillRect(tx * size, ty * size, size, size);
+                    color.fillRect(px, py, size, size);
                 }
 
                 tiles.drawImage(
                     tileset.canvas,
                     x, y, size, size, 
-                    tx * size, ty * size, size, size,
+                    px, py, size, size,
                 );
             }
         }
@@ -202,17 +274,25 @@ function drawTilemapLayer(destination, tileset, tileToFrame, palette, { tilemap,
  * @param {Map<number, number>} tileToFrame 
  * @param {BipsiDataPalette} palette 
  * @param {BipsiDataEvent[]} events 
+ * @param {Map<string, number[]>} offsets sub-cell offsets to draw events at, by event id
+ * @param {number[]} camera cell at the top left of the destination
  */
-function drawEventLayer(destination, tileset, tileToFrame, palette, events) {
+function drawEventLayer(destination, tileset, tileToFrame, palette, events, offsets=new Map(), camera=[0, 0]) {
+    const [cx, cy] = [Math.round(camera[0] * TILE_PX) / TILE_PX, Math.round(camera[1] * TILE_PX) / TILE_PX];
+
     drawRecolorLayer(destination, (backg, color, tiles) => {
         events.forEach((event) => {
-            const [tx, ty] = event.position;
             const graphicField = oneField(event, "graphic", "tile");
             if (graphicField) {
                 let { fg, bg } = FIELD(event, "colors", "colors") ?? { bg: 1, fg: 3 };
 
                 const frameIndex = tileToFrame.get(graphicField.data) ?? 0;
                 const { x, y, size } = getTileCoords(tileset.canvas, frameIndex);
+
+                // draw in whole pixels, in cells for tx/ty
+                const [ox, oy] = offsets.get(event.id) ?? [0, 0];
+                const tx = Math.round((event.position[0] + ox) * size) / size - cx;
+                const ty = Math.round((event.position[1] + oy) * size) / size - cy;
     
                 if (eventIsTagged(event, "transparent")) {
                     bg = 0;
@@ -244,12 +324,13 @@ function drawEventLayer(destination, tileset, tileToFrame, palette, events) {
  * @param {BipsiDataRoom} room 
  */
  function drawRoomThumbnail(rendering, palette, room) {
-    rendering.canvas.width = ROOM_SIZE;
-    rendering.canvas.height = ROOM_SIZE;
+    const [width, height] = getRoomSize(room);
+    rendering.canvas.width = width;
+    rendering.canvas.height = height;
 
     const [, background, foreground, highlight] = palette.colors;
-    for (let y = 0; y < ROOM_SIZE; ++y) {
-        for (let x = 0; x < ROOM_SIZE; ++x) {
+    for (let y = 0; y < height; ++y) {
+        for (let x = 0; x < width; ++x) {
             const foreground = palette.colors[room.foremap[y][x]];
             const background = palette.colors[room.backmap[y][x]];
 
@@ -266,6 +347,33 @@ function drawEventLayer(destination, tileset, tileToFrame, palette, events) {
     });
 }
 
+/**
+ * The colors of a palette after its color cycles have been running for some
+ * time. Cycles that don't stay within the palette's colors (not counting the
+ * transparent 0) are ignored, since hand-edited data may have them.
+ * @param {BipsiDataPalette} palette
+ * @param {number} time seconds
+ * @returns {string[]}
+ */
+function cyclePaletteColors(palette, time) {
+    const colors = [...palette.colors];
+    const isColor = (index) => Number.isInteger(index) && index >= 1 && index < colors.length;
+
+    palette.cycles?.forEach(({ from, to, delay }) => {
+        if (!(delay > 0) || !isColor(from) || !isColor(to)) return;
+
+        const step = Math.sign(to - from) || 1;
+        const indexes = Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => from + i * step);
+        const offset = Math.floor(time / delay);
+
+        indexes.forEach((index, i) => {
+            colors[indexes[(i + offset) % indexes.length]] = palette.colors[index];
+        });
+    });
+
+    return colors;
+}
+
 /**
  * @param {CanvasRenderingContext2D} rendering 
  * @param {BipsiDataPalette} palette
@@ -287,8 +395,9 @@ function drawPaletteThumbnail(rendering, palette) {
  * @param {number} dy 
  */
 function cycleMap(map, dx, dy) {
-    const x = dx > 0 ? dx : ROOM_SIZE + dx;
-    const y = dy > 0 ? dy : ROOM_SIZE + dy;
+    const [width, height] = getRoomSize({ tilemap: map });
+    const x = dx > 0 ? dx : width + dx;
+    const y = dy > 0 ? dy : height + dy;
     
     map.push(...map.splice(0, y));
     map.forEach((row) => {
@@ -300,11 +409,12 @@ function cycleMap(map, dx, dy) {
  * @param {BipsiDataEvent[]} events 
  * @param {number} dx
  * @param {number} dy 
+ * @param {number[]} size width and height of the room in cells
  */
-function cycleEvents(events, dx, dy) {
+function cycleEvents(events, dx, dy, [width, height]=[ROOM_SIZE, ROOM_SIZE]) {
     events.forEach((event) => {
-        event.position[0] = (event.position[0] + ROOM_SIZE + dx) % ROOM_SIZE;
-        event.position[1] = (event.position[1] + ROOM_SIZE + dy) % ROOM_SIZE;
+        event.position[0] = (event.position[0] + width + dx) % width;
+        event.position[1] = (event.position[1] + height + dy) % height;
     });
 }
 
@@ -347,6 +457,17 @@ function getPaletteById(data, id) {
     return getById(data.palettes, id);
 }
 
+/**
+ * Find a palette by its name, or by its id if none has that name.
+ * @param {BipsiDataProject} data 
+ * @param {string|number} nameOrId
+ * @returns {BipsiDataPalette}
+ */
+function findPalette(data, nameOrId) {
+    return data.palettes.find((palette) => palette.name !== undefined && palette.name === nameOrId)
+        ?? getPaletteById(data, typeof nameOrId === "string" ? parseInt(nameOrId, 10) : nameOrId);
+}
+
 /** 
  * @param {BipsiDataProject} data 
  * @param {number} id
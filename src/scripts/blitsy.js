@@ -411,6 +411,17 @@ function hexToRGB(hex) {
     };
 }
 
+/**
+ * @param {string} from hex color
+ * @param {string} to hex color
+ * @param {number} u how far between from (0) and to (1)
+ */
+function mixHex(from, to, u) {
+    const [a, b] = [hexToRGB(from), hexToRGB(to)];
+    const mix = (x, y) => Math.round(x + (y - x) * u);
+    return rgbToHex({ r: mix(a.r, b.r), g: mix(a.g, b.g), b: mix(a.b, b.b) });
+}
+
 function RGBToUint32(rgb) {
     return rgb.r | rgb.g << 8 | rgb.b << 16 | 0xFF << 24;
 }
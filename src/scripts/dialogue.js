@@ -19,6 +19,7 @@
  * @property {string} textColor
  * @property {string} portraitX
  * @property {string} portraitY
+ * @property {number} timeout seconds before the page dispatches "timeout", shown as a countdown bar
  */
 
 const DIALOGUE_DEFAULTS = {
@@ -50,6 +51,11 @@ class DialoguePlayback extends EventTarget {
         
         this.options = {};
 
+        // player settings: text reveal speed multiplier, and whether to skip
+        // the moving text effects
+        this.textSpeed = 1;
+        this.reducedMotion = false;
+
         // an awaitable that generates a new promise that resolves once no dialogue is active
         /** @type {PromiseLike<void>} */
         this.waiter = {
@@ -86,6 +92,7 @@ class DialoguePlayback extends EventTarget {
         const prev = this.currentPage;
         this.currentPage = page;
         this.pageTime = 0;
+        this.timedOut = false;
         this.showGlyphCount = 0;
         this.showGlyphElapsed = 0;
         this.pageGlyphCount = page ? page.glyphs.length : 0;
@@ -127,6 +134,28 @@ class DialoguePlayback extends EventTarget {
         });
     }
 
+    /**
+     * Replace the text of a page that is queued or showing, e.g to redraw a
+     * menu, without affecting anything waiting on it. The new text is fully
+     * revealed.
+     * @param {DialoguePage} page 
+     * @param {string} script 
+     */
+    rewritePage(page, script) {
+        const { font, lines, lineGap } = this.getOptions(page.options);
+        const lineWidth = page.options.lineWidth || 192;
+
+        script = parseFakedown(script);
+        const [glyphs] = scriptToPages(script, { font, lineWidth, lineCount: lines, lineGap });
+        glyphs.forEach((glyph) => glyph.hidden = false);
+        page.glyphs = glyphs;
+
+        if (page === this.currentPage) {
+            this.pageGlyphCount = glyphs.length;
+            this.showGlyphCount = glyphs.length;
+        }
+    }
+
     /** @param {number} dt */
     update(dt) {
         if (this.empty) return;
@@ -138,10 +167,17 @@ class DialoguePlayback extends EventTarget {
 
         const options = this.getOptions(this.currentPage.options);
 
-        while (this.showGlyphElapsed > options.glyphRevealDelay && this.showGlyphCount < this.pageGlyphCount) {
-            this.showGlyphElapsed -= options.glyphRevealDelay;
+        const revealDelay = options.glyphRevealDelay / this.textSpeed;
+        while (this.showGlyphElapsed > revealDelay && this.showGlyphCount < this.pageGlyphCount) {
+            this.showGlyphElapsed -= revealDelay;
             this.revealNextChar();
             this.applyStyle();
+            this.dispatchEvent(new CustomEvent("reveal", { detail: { page: this.currentPage, index: this.showGlyphCount - 1 } }));
+        }
+
+        if (options.timeout && !this.timedOut && this.pageTime >= options.timeout) {
+            this.timedOut = true;
+            this.dispatchEvent(new CustomEvent("timeout", { detail: this.currentPage }));
         }
     }
 
@@ -189,6 +225,16 @@ class DialoguePlayback extends EventTarget {
                 y+height-options.lineGap-prompt.canvas.height,
             );
         }
+
+        if (options.timeout) {
+            // countdown bar along the bottom of the panel
+            const remaining = Math.max(0, 1 - this.pageTime / options.timeout);
+            this.dialogueRendering.fillStyle = options.textColor;
+            this.dialogueRendering.fillRect(
+                x+options.padding, y+height-2, 
+                Math.ceil((width-options.padding*2) * remaining), 1,
+            );
+        }
     }
 
     getOptions(options) {
@@ -256,6 +302,10 @@ class DialoguePlayback extends EventTarget {
 
             if (glyph.styles.has("r"))
                 glyph.hidden = false;
+            if (this.reducedMotion) {
+                glyph.offset = { x: 0, y: 0 };
+                return;
+            }
             if (glyph.styles.has("shk")) 
                 glyph.offset = { x: getRandomInt(-1, 2), y: getRandomInt(-1, 2) };
             if (glyph.styles.has("wvy"))
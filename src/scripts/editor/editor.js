@@ -59,6 +59,28 @@ function makeBlankPalette(id) {
     }
 }
 
+/**
+ * Read color cycles written like "2-4 0.2, 7-5 1": colors 2 to 4 rotating
+ * every 0.2 seconds, and 7 to 5 every second. Ranges that aren't between
+ * colors 1 and 7 or don't move are left out.
+ * @param {string} text 
+ * @returns {BipsiDataPaletteCycle[]}
+ */
+function parsePaletteCycles(text) {
+    return text.split(",")
+        .map((part) => part.trim().match(/^(\d+)\s*-\s*(\d+)\s+(\d*\.?\d+)$/))
+        .filter(Boolean)
+        .map(([, from, to, delay]) => ({ from: parseInt(from, 10), to: parseInt(to, 10), delay: parseFloat(delay) }))
+        .filter(({ from, to, delay }) => from >= 1 && from <= 7 && to >= 1 && to <= 7 && from !== to && delay > 0);
+}
+
+/**
+ * @param {BipsiDataPaletteCycle[]} cycles 
+ */
+function formatPaletteCycles(cycles) {
+    return cycles.map(({ from, to, delay }) => `${from}-${to} ${delay}`).join(", ");
+}
+
 function generateGrid(width, height, gap) {
     const rendering = createRendering2D(width, height);
 
@@ -79,6 +101,18 @@ let ROOM_ZOOM = 2;
 const TILE_GRID = generateGrid(TILE_ZOOM * TILE_PX, TILE_ZOOM * TILE_PX, TILE_ZOOM);
 const ROOM_GRID = generateGrid(ROOM_PX * ROOM_ZOOM, ROOM_PX * ROOM_ZOOM, TILE_PX * ROOM_ZOOM);
 
+// how many screens across of a big room the room canvas can show at once
+const ROOM_VIEW_ZOOMS = [1, 2, 4];
+const ROOM_VIEW_GRIDS = new Map(ROOM_VIEW_ZOOMS.map((zoom) => [
+    zoom, 
+    generateGrid(ROOM_PX * ROOM_ZOOM, ROOM_PX * ROOM_ZOOM, TILE_PX * ROOM_ZOOM / zoom),
+]));
+// the shown part of the room, before it's scaled to the room canvas
+const ROOM_VIEW = createRendering2D(ROOM_PX, ROOM_PX);
+
+// largest width or height of a room, in cells
+const ROOM_MAX_SIZE = 256;
+
 let TILE_SELECT_ZOOM = 5;
 
 let TILE_ICON_SCALE = Math.max(1, Math.floor(TILE_PX / 8));
@@ -430,14 +464,28 @@ const EVENT_FIELD_PRESETS = [
     { name: "before", type: "javascript", tooltip: "run javascript before touch" },
     { name: "after", type: "javascript", tooltip: "run javascript after touch" },
     { name: "touch", type: "javascript", tooltip: "run javascript instead of touch" },
+    { name: "on-step", type: "javascript", tooltip: "run javascript when the avatar arrives on this event" },
+    { name: "on-enter-radius", type: "javascript", tooltip: "run javascript when the avatar comes within trigger-radius" },
+    { name: "on-leave-radius", type: "javascript", tooltip: "run javascript when the avatar goes beyond trigger-radius" },
+    { name: "trigger-radius", type: "json", tooltip: "cells for on-enter-radius and on-leave-radius (1 by default)" },
+    { name: "on-enter-room", type: "javascript", tooltip: "run javascript when the avatar enters this event's room" },
+    { name: "on-leave-room", type: "javascript", tooltip: "run javascript when the avatar leaves this event's room" },
     { name: "add-behavior", type: "javascript", tooltip: "add a new type of behavior" },
     { name: "solid", type: "tag", tooltip: "this event blocks movement" },
     { name: "one-time", type: "tag", tooltip: "this event removes itself after touch" },
     { name: "page-color", type: "text", tooltip: "change web page background to html color" },
     { name: "exit", type: "location", tooltip: "move avatar somewhere" },
+    { name: "transition", type: "text", tooltip: "how the screen changes when exiting (e.g fade black 0.5)" },
     { name: "set-avatar", type: "tile", tooltip: "change avatar graphic" },
     { name: "graphic", type: "tile", tooltip: "tile to display for this event" },
     { name: "colors", type: "colors", tooltip: "color of this event's graphic" },
+    { name: "move-speed", type: "json", tooltip: "cells per second to slide this event's graphic when it moves" },
+    { name: "patrol", type: "text", tooltip: "repeat these steps forever, like WALK (e.g LLRR.)" },
+    { name: "wander", type: "json", tooltip: "move randomly within this many cells of the start" },
+    { name: "follow", type: "text", tooltip: "move towards the event with this tag" },
+    { name: "move-delay", type: "json", tooltip: "seconds between the steps of patrol, wander or follow" },
+    { name: "light-radius", type: "json", tooltip: "cells this event lights in dark rooms (3 for the avatar by default)" },
+    { name: "light-color", type: "text", tooltip: "css color this event's light tints what it lights" },
     { name: "touch-location", type: "location", tooltip: "touch another event" },
     { name: "title", type: "dialogue", tooltip: "show a title style dialogue" },
     { name: "ending", type: "dialogue", tooltip: "show a title style dialogue and end" },
@@ -447,6 +495,8 @@ const EVENT_FIELD_PRESETS = [
     { name: "say-shared-id", type: "text", tooltip: "advanced dialogue, see docs" },
     { name: "no-says", type: "javascript", tooltip: "advanced dialogue, see docs" },
     { name: "music", type: "file", tooltip: "play named music from library" },
+    { name: "music-fade", type: "json", tooltip: "seconds to crossfade music over" },
+    { name: "sound", type: "file", tooltip: "play named sound from library once" },
     { name: "stop-music", type: "tag", tooltip: "stop playing music" },
     
     { name: "background", type: "file", tooltip: "show named image on background layer" },
@@ -456,7 +506,19 @@ const EVENT_FIELD_PRESETS = [
     { name: "clear-foreground", type: "tag", tooltip: "remove image on foreground layer" },
     { name: "clear-overlay", type: "tag", tooltip: "remove image on overlay layer" },
     
+    { name: "ink-knot", type: "text", tooltip: "divert the story to this ink knot on touch" },
+    { name: "room-ink-knot", type: "text", tooltip: "divert the story to this ink knot when the avatar enters this room" },
+    { name: "ink-flow-knot", type: "text", tooltip: "run this ink knot in its own flow on touch" },
+    { name: "ink-flow-radius", type: "json", tooltip: "run ink-flow-knot when the avatar comes this close" },
+    { name: "ink-flow", type: "text", tooltip: "name of the ink flow, events with the same name share it" },
+    { name: "voice", type: "file", tooltip: "sound played as this character's lines appear" },
+    { name: "visible-if", type: "text", tooltip: "only show this event while this ink condition is true" },
+    { name: "watch-ink-var", type: "text", tooltip: "run on-ink-var when this ink variable changes" },
+    { name: "on-ink-var", type: "javascript", tooltip: "run javascript when a watched ink variable changes" },
+    
     { name: "is-player", type: "tag", tooltip: "this event is the avatar" },
+    { name: "controls", type: "json", tooltip: "(player only) change which keys and gamepad buttons do what" },
+    { name: "camera-deadzone", type: "json", tooltip: "(player only) cells from the middle of the screen before big rooms scroll" },
     { name: "is-setup", type: "tag", tooltip: "(one only) this event run on start" },
     { name: "is-library", type: "tag", tooltip: "(one only) this event contains named files" }, 
     { name: "is-plugin", type: "tag", tooltip: "mark this event as a plugin" },
@@ -883,6 +945,11 @@ class EventEditor {
     }
 
     refreshPositionSelect(index, position = undefined) {
+        // show the whole room, however big
+        const [width, height] = getRoomSize(this.editor.stateManager.present.rooms[index]);
+        this.positionSelect.width = width * TILE_PX;
+        this.positionSelect.height = height * TILE_PX;
+
         this.positionSelectRendering.globalCompositeOperation = "source-over";
         fillRendering2D(this.positionSelectRendering);
         this.editor.drawRoom(this.positionSelectRendering, index);
@@ -894,8 +961,8 @@ class EventEditor {
 
             const width = Math.max(1, Math.floor(TILE_PX / 2));
             const gap = Math.floor((TILE_PX - width) / 2);
-            this.positionSelectRendering.fillRect(0, y * TILE_PX + gap, ROOM_PX, width);
-            this.positionSelectRendering.fillRect(x * TILE_PX + gap, 0, width, ROOM_PX);
+            this.positionSelectRendering.fillRect(0, y * TILE_PX + gap, this.positionSelect.width, width);
+            this.positionSelectRendering.fillRect(x * TILE_PX + gap, 0, width, this.positionSelect.height);
         }
     }
 
@@ -1229,6 +1296,8 @@ class BipsiEditor extends EventTarget {
 
         const refreshMoveToPosition = () => {
             const room = this.roomListing.rooms[this.moveToRoomSelect.select.selectedIndex];
+            this.moveToPositionSelect.width = room.preview.width;
+            this.moveToPositionSelect.height = room.preview.height;
             this.moveToPositionRendering.globalCompositeOperation = "source-over";
             this.moveToPositionRendering.drawImage(room.preview, 0, 0);
             
@@ -1239,8 +1308,8 @@ class BipsiEditor extends EventTarget {
 
                 const width = Math.max(1, Math.floor(TILE_PX / 2));
                 const gap = Math.floor((TILE_PX - width) / 2);
-                this.moveToPositionRendering.fillRect(0, y * TILE_PX + gap, ROOM_PX, width);
-                this.moveToPositionRendering.fillRect(x * TILE_PX + gap, 0, width, ROOM_PX);
+                this.moveToPositionRendering.fillRect(0, y * TILE_PX + gap, room.preview.width, width);
+                this.moveToPositionRendering.fillRect(x * TILE_PX + gap, 0, width, room.preview.height);
             }
         }
 
@@ -1266,6 +1335,84 @@ class BipsiEditor extends EventTarget {
             this.roomSelectWindowElement.hidden = !this.showRoomSelect.checked;
         });
 
+        this.roomWidth = ui.text("room-width");
+        this.roomHeight = ui.text("room-height");
+        const resizeSelectedRoom = () => {
+            const size = (input) => Math.max(1, Math.min(ROOM_MAX_SIZE, parseInt(input.value, 10) || ROOM_SIZE));
+            const [width, height] = [size(this.roomWidth), size(this.roomHeight)];
+
+            this.stateManager.makeChange(async (data) => {
+                const { room } = this.getSelections(data);
+                resizeRoom(room, width, height);
+            });
+        };
+        this.roomWidth.addEventListener("change", resizeSelectedRoom);
+        this.roomHeight.addEventListener("change", resizeSelectedRoom);
+
+        // rooms walked into off the edges of the selected room
+        this.roomNeighbours = new Map(Object.keys(ROOM_EDGES).map((edge) => [edge, ui.select(`room-${edge}`)]));
+        this.roomNeighbours.forEach((select, edge) => select.addEventListener("change", () => {
+            this.stateManager.makeChange(async (data) => {
+                const { room } = this.getSelections(data);
+                const neighbours = { ...room.neighbours };
+
+                if (select.value) neighbours[edge] = parseInt(select.value, 10);
+                else delete neighbours[edge];
+
+                if (Object.keys(neighbours).length > 0) room.neighbours = neighbours;
+                else delete room.neighbours;
+            });
+        }));
+
+        this.roomEdgeTransition = ui.select("room-edge-transition");
+        this.roomEdgeTransition.addEventListener("change", () => {
+            this.stateManager.makeChange(async (data) => {
+                const { room } = this.getSelections(data);
+                if (this.roomEdgeTransition.value) room.edgeTransition = this.roomEdgeTransition.value;
+                else delete room.edgeTransition;
+            });
+        });
+
+        this.roomDarkness = ui.text("room-darkness");
+        this.roomDarkness.addEventListener("change", () => {
+            this.stateManager.makeChange(async (data) => {
+                const { room } = this.getSelections(data);
+                const darkness = Math.max(0, Math.min(1, parseFloat(this.roomDarkness.value) || 0));
+                if (darkness > 0) room.darkness = darkness;
+                else delete room.darkness;
+            });
+        });
+
+        this.roomMusic = ui.text("room-music");
+        this.roomMusic.addEventListener("change", () => {
+            this.stateManager.makeChange(async (data) => {
+                const { room } = this.getSelections(data);
+                const music = this.roomMusic.value.trim();
+                if (music) room.music = music;
+                else delete room.music;
+            });
+        });
+
+        this.paletteName = ui.text("palette-name");
+        this.paletteName.addEventListener("change", () => {
+            this.stateManager.makeChange(async (data) => {
+                const { palette } = this.getSelections(data);
+                const name = this.paletteName.value.trim();
+                if (name) palette.name = name;
+                else delete palette.name;
+            });
+        });
+
+        this.paletteCycles = ui.text("palette-cycles");
+        this.paletteCycles.addEventListener("change", () => {
+            this.stateManager.makeChange(async (data) => {
+                const { palette } = this.getSelections(data);
+                const cycles = parsePaletteCycles(this.paletteCycles.value);
+                if (cycles.length > 0) palette.cycles = cycles;
+                else delete palette.cycles;
+            });
+        });
+
         this.paletteSelectWindowElement = ONE("#palette-select-window");
         this.showPaletteSelect = ui.toggle("show-palette-window");
         autoCloseToggledWindow(this.paletteSelectWindowElement, this.showPaletteSelect, "show-palette-window");
@@ -1331,6 +1478,7 @@ class BipsiEditor extends EventTarget {
 
         this.roomPaintTool.tab(ONE("#draw-room-events-controls"), "events");
         this.roomPaintTool.tab(ONE("#room-events-toolbar"), "events");
+        this.roomPaintTool.tab(ONE("#hide-conditional-toggle"), "events");
         this.roomPaintTool.tab(ONE("#draw-room-palette-controls"), "color");
         this.roomPaintTool.tab(ONE("#draw-room-color-mode"), "color");
         
@@ -1350,6 +1498,8 @@ class BipsiEditor extends EventTarget {
         this.tileGrid.addEventListener("change", () => this.requestRedraw());
 
         this.highlight = ui.toggle("highlight");
+        this.hideConditional = ui.toggle("hide-conditional");
+        this.hideConditional.addEventListener("change", () => this.requestRedraw());
         this.placeTile = ui.toggle("place-tile");
         this.picker = ui.toggle("tile-picker");
 
@@ -1614,6 +1764,21 @@ class BipsiEditor extends EventTarget {
 
         this.renderings.tileMapPaint.canvas.addEventListener("pointerdown", (event) => this.onRoomPointer(event, this.renderings.tileMapPaint.canvas));
 
+        // big rooms are panned with the mouse wheel (shift for sideways) or
+        // a middle button drag, and zoomed with ctrl + wheel or the buttons
+        this.roomView = { x: 0, y: 0, zoom: 1 };
+        this.renderings.tileMapPaint.canvas.addEventListener("wheel", (event) => {
+            if (event.ctrlKey || event.metaKey) {
+                event.preventDefault();
+                this.zoomRoomView(Math.sign(event.deltaY));
+            } else {
+                const [dx, dy] = event.shiftKey ? [event.deltaY, 0] : [event.deltaX, event.deltaY];
+                if (this.panRoomView(Math.sign(dx), Math.sign(dy))) event.preventDefault();
+            }
+        }, { passive: false });
+        ui.action("zoom-room-in", () => this.zoomRoomView(-1));
+        ui.action("zoom-room-out", () => this.zoomRoomView(1));
+
         this.frame = 0;
 
         this.savedVariables = new Map();
@@ -1712,6 +1877,76 @@ class BipsiEditor extends EventTarget {
         this.tileEditor.redraw();
     }
 
+    /**
+     * The part of the selected room shown on the room canvas: the cell at
+     * the top left, kept within the room, and how many cells across it is.
+     */
+    getRoomView() {
+        const { room } = this.getSelections();
+        const [width, height] = getRoomSize(room);
+        const cells = ROOM_SIZE * this.roomView.zoom;
+
+        return {
+            x: Math.max(0, Math.min(width - cells, this.roomView.x)),
+            y: Math.max(0, Math.min(height - cells, this.roomView.y)),
+            cells,
+        };
+    }
+
+    /**
+     * @param {number} dx 
+     * @param {number} dy 
+     * @returns {boolean} whether the view moved
+     */
+    panRoomView(dx, dy) {
+        const prev = this.getRoomView();
+        this.roomView.x = prev.x + dx;
+        this.roomView.y = prev.y + dy;
+
+        const next = this.getRoomView();
+        Object.assign(this.roomView, { x: next.x, y: next.y });
+        this.requestRedraw();
+        return next.x !== prev.x || next.y !== prev.y;
+    }
+
+    /**
+     * @param {number} step 1 to show more of the room, -1 to show less
+     */
+    zoomRoomView(step) {
+        const index = ROOM_VIEW_ZOOMS.indexOf(this.roomView.zoom) + step;
+        this.roomView.zoom = ROOM_VIEW_ZOOMS[Math.max(0, Math.min(ROOM_VIEW_ZOOMS.length - 1, index))];
+        this.requestRedraw();
+    }
+
+    /**
+     * Like makeCanvasRounder, but to cells of the selected room as currently
+     * panned and zoomed.
+     * @param {HTMLCanvasElement} canvas 
+     */
+    makeRoomViewRounder(canvas) {
+        const { x, y, cells } = this.getRoomView();
+        const round = makeCanvasRounder(canvas, cells);
+
+        return (position) => {
+            const cell = round(position);
+            return { x: cell.x + x, y: cell.y + y };
+        };
+    }
+
+    onRoomPanPointer(event, canvas) {
+        const drag = ui.drag(event);
+        const positions = trackCanvasStroke(canvas, drag);
+        const start = this.getRoomView();
+        const factor = start.cells / canvas.width;
+
+        drag.addEventListener("move", () => {
+            const [first, last] = [positions[0], positions[positions.length - 1]];
+            this.roomView.x = start.x - Math.round((last.x - first.x) * factor);
+            this.roomView.y = start.y - Math.round((last.y - first.y) * factor);
+            this.requestRedraw();
+        });
+    }
+
     async onEventsPointer(event, canvas) {
         // hack bc race condition rn
         const drag = ui.drag(event);
@@ -1726,12 +1961,14 @@ class BipsiEditor extends EventTarget {
 
         const { room } = this.getSelections();
 
-        const round = makeCanvasRounder(this.renderings.tileMapPaint.canvas, ROOM_SIZE);
+        const round = this.makeRoomViewRounder(this.renderings.tileMapPaint.canvas);
+        const [width, height] = getRoomSize(room);
 
         const positions = trackCanvasStroke(canvas, drag);
         let started = false;
 
         const { x, y } = round(positions[0]);
+        if (!isInRoom(room, x, y)) return;
 
         if (event.altKey) {
             this.tileBrowser.selectedTileIndex = room.tilemap[y][x];
@@ -1760,8 +1997,8 @@ class BipsiEditor extends EventTarget {
                 this.stateManager.makeCheckpoint();
             }
 
-            const x = Math.max(0, Math.min(x1, ROOM_SIZE - 1));
-            const y = Math.max(0, Math.min(y1, ROOM_SIZE - 1));
+            const x = Math.max(0, Math.min(x1, width - 1));
+            const y = Math.max(0, Math.min(y1, height - 1));
             const existing = getEventsAt(room.events, x, y)[0];
 
             if (event_ && !existing) {
@@ -1778,25 +2015,24 @@ class BipsiEditor extends EventTarget {
     }
 
     async onRoomPointer(event, canvas, forcePick=false) {
+        if (event.button === 1) {
+            event.preventDefault();
+            return this.onRoomPanPointer(event, canvas);
+        }
+
         if (this.roomPaintTool.value === "events" && !forcePick) {
             return this.onEventsPointer(event, canvas);
         }
 
         const { tile, room, data, bgIndex, fgIndex, colorIndex } = this.getSelections();
 
-        const factor = ROOM_SIZE / canvas.width;
-
-        const round = (position) => {
-            return {
-                x: Math.floor(position.x * factor),
-                y: Math.floor(position.y * factor),
-            };
-        };
+        const round = this.makeRoomViewRounder(canvas);
 
         const drag = ui.drag(event);
         const positions = trackCanvasStroke(canvas, drag);
 
         const { x, y } = round(positions[0]);
+        if (!isInRoom(room, x, y)) return;
 
         const tool = this.roomPaintTool.value;
 
@@ -1832,7 +2068,7 @@ class BipsiEditor extends EventTarget {
             this.stateManager.makeCheckpoint();
 
             const setIfWithin = (map, x, y, value) => {
-                if (x >= 0 && x < ROOM_SIZE && y >= 0 && y < ROOM_SIZE) map[y][x] = value ?? 0;
+                if (isInRoom(room, x, y)) map[y][x] = value ?? 0;
             } 
 
             const plots = {
@@ -1889,7 +2125,7 @@ class BipsiEditor extends EventTarget {
                 cycleMap(room.wallmap, dx, dy);
                 cycleMap(room.backmap, dx, dy);
                 cycleMap(room.foremap, dx, dy);
-                cycleEvents(room.events, -dx, -dy);
+                cycleEvents(room.events, -dx, -dy, getRoomSize(room));
                 this.requestRedraw();
             });
             drag.addEventListener("up", () => this.stateManager.changed());
@@ -1909,7 +2145,17 @@ class BipsiEditor extends EventTarget {
         const tileToFrame = makeTileToFrameMap(data.tiles, this.frame);
 
         drawTilemapLayer(rendering, tileset, tileToFrame, palette, room);
-        drawEventLayer(rendering, tileset, tileToFrame, palette, room.events);
+        drawEventLayer(rendering, tileset, tileToFrame, palette, this.getPreviewEvents(room));
+    }
+
+    /**
+     * The events of a room as they should be drawn, leaving out events with
+     * a "visible-if" condition when previewing them hidden.
+     * @param {BipsiDataRoom} room 
+     */
+    getPreviewEvents(room) {
+        if (!this.hideConditional.checked) return room.events;
+        return room.events.filter((event) => !oneField(event, "visible-if", "text"));
     }
 
     redrawFromTileChange() {
@@ -1958,21 +2204,30 @@ class BipsiEditor extends EventTarget {
 
         const tileToFrame = makeTileToFrameMap(data.tiles, this.frame);
 
-        fillRendering2D(TEMP_ROOM);
-        drawTilemapLayer(TEMP_ROOM, tileset, tileToFrame, palette, room);
+        // the panned and zoomed part of the room, and the size of its cells
+        // on the room canvas
+        const view = this.getRoomView();
+        const camera = [view.x, view.y];
+        const cell_px = SCREEN_PX / view.cells;
+        if (ROOM_VIEW.canvas.width !== view.cells * TILE_PX) {
+            resizeRendering2D(ROOM_VIEW, view.cells * TILE_PX, view.cells * TILE_PX);
+        }
+
+        fillRendering2D(ROOM_VIEW);
+        drawTilemapLayer(ROOM_VIEW, tileset, tileToFrame, palette, room, camera);
         fillRendering2D(this.renderings.tileMapPaint);
-        this.renderings.tileMapPaint.drawImage(TEMP_ROOM.canvas, 0, 0, SCREEN_PX, SCREEN_PX);
+        this.renderings.tileMapPaint.drawImage(ROOM_VIEW.canvas, 0, 0, SCREEN_PX, SCREEN_PX);
         
-        fillRendering2D(TEMP_ROOM);
-        drawEventLayer(TEMP_ROOM, tileset, tileToFrame, palette, room.events);
+        fillRendering2D(ROOM_VIEW);
+        drawEventLayer(ROOM_VIEW, tileset, tileToFrame, palette, this.getPreviewEvents(room), new Map(), camera);
         this.renderings.tileMapPaint.globalAlpha = .75;
-        this.renderings.tileMapPaint.drawImage(TEMP_ROOM.canvas, 0, 0, SCREEN_PX, SCREEN_PX);
+        this.renderings.tileMapPaint.drawImage(ROOM_VIEW.canvas, 0, 0, SCREEN_PX, SCREEN_PX);
         this.renderings.tileMapPaint.globalAlpha = 1;
 
         if (this.roomGrid.checked) {
             const rendering = this.renderings.tileMapPaint;
             rendering.globalAlpha = .25;
-            rendering.drawImage(ROOM_GRID.canvas, 0, 0);
+            rendering.drawImage(ROOM_VIEW_GRIDS.get(this.roomView.zoom).canvas, 0, 0);
             rendering.globalAlpha = 1;
         }
 
@@ -1984,8 +2239,8 @@ class BipsiEditor extends EventTarget {
                     if (wall > 0) {
                         rendering.drawImage(
                             this.WALL_TILE, 
-                            x * TILE_PX * 2, y * TILE_PX * 2,
-                            TILE_PX * 2, TILE_PX * 2,
+                            (x - view.x) * cell_px, (y - view.y) * cell_px,
+                            cell_px, cell_px,
                         );
                     }
                 });
@@ -2018,10 +2273,10 @@ class BipsiEditor extends EventTarget {
 
                 TEMP_SCREEN.drawImage(
                     plugin ? this.PLUGIN_TILE : this.EVENT_TILE, 
-                    x * TILE_PX * SCREEN_ZOOM, 
-                    y * TILE_PX * SCREEN_ZOOM,
-                    TILE_PX * SCREEN_ZOOM,
-                    TILE_PX * SCREEN_ZOOM
+                    (x - view.x) * cell_px, 
+                    (y - view.y) * cell_px,
+                    cell_px,
+                    cell_px,
                 );
             });
 
@@ -2029,12 +2284,11 @@ class BipsiEditor extends EventTarget {
                 const { x, y } = this.selectedEventCell;
                 TEMP_SCREEN.fillStyle = "white";
 
-                const tile_px = TILE_PX * SCREEN_ZOOM;
-                const width = 4;
-                const margin = Math.floor((tile_px - width) / 2);
+                const width = Math.max(1, 4 / this.roomView.zoom);
+                const margin = Math.floor((cell_px - width) / 2);
 
-                TEMP_SCREEN.fillRect(0, y * tile_px + margin, SCREEN_PX, width);
-                TEMP_SCREEN.fillRect(x * tile_px + margin, 0, width, SCREEN_PX);
+                TEMP_SCREEN.fillRect(0, (y - view.y) * cell_px + margin, SCREEN_PX, width);
+                TEMP_SCREEN.fillRect((x - view.x) * cell_px + margin, 0, width, SCREEN_PX);
             }
 
             if (this.roomPaintTool.value === "events" || this.roomPaintTool.value === "shift") {
@@ -2074,6 +2328,33 @@ class BipsiEditor extends EventTarget {
 
         this.roomSelectWindow.select.selectedIndex = Math.max(this.roomSelectWindow.select.selectedIndex, 0);
 
+        const selected = data.rooms[this.roomSelectWindow.select.selectedIndex];
+        const roomIds = data.rooms.map((room) => room.id).join();
+        this.roomNeighbours.forEach((select, edge) => {
+            if (document.activeElement === select) return;
+            
+            // only rebuild the options when rooms are added or removed
+            if (select.dataset.rooms !== roomIds) {
+                const options = [["", `no ${edge} room`], ...data.rooms.map((room) => [room.id, `${edge}: room ${room.id}`])];
+                select.replaceChildren(...options.map(([value, text]) => html("option", { value }, text)));
+                select.dataset.rooms = roomIds;
+            }
+            select.value = selected.neighbours?.[edge] ?? "";
+        });
+        this.roomEdgeTransition.value = selected.edgeTransition ?? "";
+
+        // don't overwrite the room size or music while it's being typed
+        const [width, height] = getRoomSize(selected);
+        if (document.activeElement !== this.roomWidth) this.roomWidth.value = width;
+        if (document.activeElement !== this.roomHeight) this.roomHeight.value = height;
+
+        if (document.activeElement !== this.roomDarkness) {
+            this.roomDarkness.value = data.rooms[this.roomSelectWindow.select.selectedIndex].darkness ?? "";
+        }
+        if (document.activeElement !== this.roomMusic) {
+            this.roomMusic.value = data.rooms[this.roomSelectWindow.select.selectedIndex].music ?? "";
+        }
+
         const thumb = thumbs[this.roomSelectWindow.select.selectedIndex].thumb;
         const canvases = ALL(`[name="show-room-window"] + canvas`);
         canvases.forEach((canvas) => {
@@ -2103,6 +2384,14 @@ class BipsiEditor extends EventTarget {
 
         this.paletteSelectWindow.select.setSelectedIndexSilent(Math.max(this.paletteSelectWindow.select.selectedIndex, 0));
 
+        const palette = data.palettes[this.paletteSelectWindow.select.selectedIndex];
+        if (document.activeElement !== this.paletteName) {
+            this.paletteName.value = palette.name ?? "";
+        }
+        if (document.activeElement !== this.paletteCycles) {
+            this.paletteCycles.value = formatPaletteCycles(palette.cycles ?? []);
+        }
+
         const thumb = thumbs[this.paletteSelectWindow.select.selectedIndex].thumb;
         const canvases = ALL(`[name="show-palette-window"] + canvas`);
         canvases.forEach((canvas) => {
@@ -2114,7 +2403,8 @@ class BipsiEditor extends EventTarget {
 
     redrawDialoguePreview() {
         if (this.eventEditor.showDialoguePreview && !this.dialoguePreviewPlayer.empty) {
-            const top = this.selectedEventCell.y >= ROOM_SIZE / 2;
+            const view = this.getRoomView();
+            const top = this.selectedEventCell.y - view.y >= view.cells / 2;
 
             this.dialoguePreviewPlayer.options.anchorY = top ? 0 : 1;
             this.dialoguePreviewPlayer.render();
@@ -2393,6 +2683,8 @@ class BipsiEditor extends EventTarget {
             const { paletteIndex, palette } = this.getSelections(data);
             const copy = COPY(palette);
             copy.id = nextPaletteId(data);
+            // names should lead to one palette
+            delete copy.name;
             data.palettes.splice(paletteIndex+1, 0, copy);
         });
         this.paletteSelectWindow.select.selectedIndex += 1;
@@ -12,7 +12,9 @@ class RoomSelectItem {
     setup(id, thumb) {
         this.input.title = `select room ${id}`;
         this.input.value = id;
-        this.rendering.drawImage(thumb, 0, 0);
+        // big rooms are squeezed into the same thumbnail
+        this.rendering.clearRect(0, 0, ROOM_SIZE, ROOM_SIZE);
+        this.rendering.drawImage(thumb, 0, 0, ROOM_SIZE, ROOM_SIZE);
     }
 
     remove() {
@@ -78,6 +78,7 @@ class StoryEditor {
         try{
             this.editor.logTextElement.replaceChildren("> RESTARTING COMPILATION\n");
             this.story = new inkjs.Compiler(this.inkEditor.getValue(), compilerOptions).Compile();
+            this.bindExternalStubs(this.story);
             window.postMessage({ type: "log", data: "> COMPILATION SUCCESSFUL" })
 
             const jsonBytecode = this.story.ToJson();
@@ -93,6 +94,25 @@ class StoryEditor {
         }
     }
 
+    /**
+     * The preview has no bipsi world, so ink externals bound by the playback
+     * are replaced by stubs that show the call and return a fallback.
+     */
+    bindExternalStubs(story){
+        for (const [name, { lookaheadSafe, fallback }] of Object.entries(BipsiPlayback.inkExternals)) {
+            story.BindExternalFunction(name, (...args) => {
+                // lookahead safe functions may be called more than once per line
+                if(!lookaheadSafe){
+                    const callElement = document.createElement('p');
+                    callElement.className = "tag";
+                    callElement.textContent = `~ ${name}(${args.map((arg) => JSON.stringify(arg)).join(", ")})`;
+                    this.inkPlayerContainer.appendChild(callElement);
+                }
+                return fallback;
+            }, lookaheadSafe);
+        }
+    }
+
     reset(){
         this.choiceHistory = [];
         if(!this.story) return;
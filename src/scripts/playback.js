@@ -53,13 +53,143 @@ function eventIsTagged(event, key) {
  * @param {BipsiDataRoom} room
  * @param {number} x 
  * @param {number} y 
+ * @param {BipsiDataEvent[]} events the events of the room that can block
  */
-function cellIsSolid(room, x, y) {
+function cellIsSolid(room, x, y, events=room.events) {
     const wall = room.wallmap[y][x] > 0;
-    const solid = getEventsAt(room.events, x, y).some((event) => eventIsTagged(event, "solid"));
+    const solid = getEventsAt(events, x, y).some((event) => eventIsTagged(event, "solid"));
     return solid || wall;
 }
 
+/**
+ * Find the shortest path of single steps from one cell of a room to another,
+ * around solid cells. The destination itself may be solid, in which case the
+ * last step bumps into it.
+ * @param {BipsiDataRoom} room
+ * @param {number[]} start 
+ * @param {number[]} target 
+ * @param {BipsiDataEvent[]} events the events of the room that can block
+ * @returns {number[][]?} cells to step to in order, or null if there is no path
+ */
+function findPath(room, start, target, events=room.events) {
+    const [tx, ty] = target;
+    const [width] = getRoomSize(room);
+    const key = (x, y) => y * width + x;
+
+    // breadth first search from the start, remembering where each cell was
+    // first reached from
+    const from = new Map([[key(...start), undefined]]);
+    const queue = [start];
+
+    for (let i = 0; i < queue.length; ++i) {
+        const [x, y] = queue[i];
+
+        if (x === tx && y === ty) {
+            const path = [];
+            for (let cell = [x, y]; from.get(key(...cell)); cell = from.get(key(...cell))) {
+                path.unshift(cell);
+            }
+            return path;
+        }
+
+        for (const [dx, dy] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+            const [nx, ny] = [x + dx, y + dy];
+            if (!isInRoom(room, nx, ny) || from.has(key(nx, ny))) continue;
+
+            const isTarget = nx === tx && ny === ty;
+            if (!isTarget && cellIsSolid(room, nx, ny, events)) continue;
+
+            from.set(key(nx, ny), [x, y]);
+            queue.push([nx, ny]);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check that no wall stands between two cells of a room. The cells
+ * themselves may be walls.
+ * @param {BipsiDataRoom} room 
+ * @param {number[]} start 
+ * @param {number[]} target 
+ */
+function isInLineOfSight(room, [x, y], [tx, ty]) {
+    const [dx, dy] = [Math.abs(tx - x), Math.abs(ty - y)];
+    const [sx, sy] = [Math.sign(tx - x), Math.sign(ty - y)];
+    let error = dx - dy;
+
+    // step along the line from start to target, one cell at a time
+    while (true) {
+        const e2 = error * 2;
+        if (e2 > -dy) { error -= dy; x += sx; }
+        if (e2 < dx) { error += dx; y += sy; }
+
+        if (x === tx && y === ty) return true;
+        if (room.wallmap[y][x] > 0) return false;
+    }
+}
+
+/**
+ * Work out how brightly lights reach the cells of part of a room: fully at
+ * a light, dimming towards its radius, and not at all behind walls.
+ * @param {BipsiDataRoom} room 
+ * @param {{ position: number[], radius: number, color?: {r:number,g:number,b:number,a:number} }[]} lights 
+ * @param {number[]} area x, y, width and height of the cells to light
+ * @returns {{ level: number, color?: {r:number,g:number,b:number,a:number} }[]} for each cell of the area, row by row, the brightest light
+ */
+function lightRoomArea(room, lights, [ax, ay, width, height]) {
+    const cells = Array.from({ length: width * height }, () => ({ level: 0, color: undefined }));
+
+    lights.forEach(({ position: [lx, ly], radius, color }) => {
+        const reach = Math.ceil(radius);
+
+        for (let y = Math.max(ay, ly - reach); y <= Math.min(ay + height - 1, ly + reach); ++y) {
+            for (let x = Math.max(ax, lx - reach); x <= Math.min(ax + width - 1, lx + reach); ++x) {
+                if (!isInRoom(room, x, y)) continue;
+
+                const level = 1 - (Math.hypot(x - lx, y - ly) / (radius + 1)) ** 2;
+                const cell = cells[(y - ay) * width + (x - ax)];
+
+                if (level <= cell.level) continue;
+                if ((x !== lx || y !== ly) && !isInLineOfSight(room, [lx, ly], [x, y])) continue;
+
+                cell.level = level;
+                cell.color = color;
+            }
+        }
+    });
+
+    return cells;
+}
+
+/**
+ * Find where a step off the edge of a room leads: the cell along the opposite
+ * edge of the neighbouring room that way, if the room has one.
+ * @param {BipsiDataProject} data 
+ * @param {BipsiDataRoom} room 
+ * @param {number} x a cell just outside the room
+ * @param {number} y 
+ * @returns {{ room: BipsiDataRoom, position: number[], edge: string }?}
+ */
+function getNeighbourCell(data, room, x, y) {
+    const [width, height] = getRoomSize(room);
+    const edge = y < 0 ? "north" 
+               : y >= height ? "south" 
+               : x < 0 ? "west" 
+               : x >= width ? "east" 
+               : undefined;
+    const neighbour = edge && findRoomById(data, room.neighbours?.[edge]);
+    if (!neighbour) return null;
+
+    const [nw, nh] = getRoomSize(neighbour);
+    const position = [
+        x < 0 ? nw - 1 : x >= width  ? 0 : Math.min(x, nw - 1),
+        y < 0 ? nh - 1 : y >= height ? 0 : Math.min(y, nh - 1),
+    ];
+    return { room: neighbour, position, edge };
+}
+
 /**
  * 
  * @param {BipsiDataEvent} event 
@@ -281,13 +411,66 @@ if (overlays.length > 0) {
 const BEHAVIOUR_MUSIC = `
 let music = FIELD_OR_LIBRARY("music");
 
+let fade = FIELD(EVENT, "music-fade", "json") ?? 0;
+
 if (music) {
-    PLAY_MUSIC(music);
+    PLAY_MUSIC(music, fade);
 } else if (IS_TAGGED(EVENT, "stop-music")) {
-    STOP_MUSIC();
+    STOP_MUSIC(fade);
+}
+`;
+
+const BEHAVIOUR_SOUND = `
+let sound = FIELD_OR_LIBRARY("sound");
+
+if (sound) {
+    PLAY_SOUND(sound);
 }
 `;
 
+// image ids and layers shared by the image fields and ink tags
+const IMAGE_LAYERS = {
+    "backdrop": 0,
+    "background": 0,
+    "midground": 1,
+    "foreground": 2,
+    "overlay": 3,
+};
+
+// ink tags that look like "character-sentiment" portrait tags but change the scene
+const SCENE_TAGS = ["stop-music", ...Object.keys(IMAGE_LAYERS).map((layer) => `clear-${layer}`)];
+
+/**
+ * Read a screen transition written as words, like an exit's "transition"
+ * field or an ink tag: the type, then in any order a color, seconds and a
+ * direction, e.g "fade black 0.5" or "wipe up".
+ * @param {string} text 
+ * @returns {{ type: string, seconds?: number, color?: string, direction?: number[] }}
+ */
+function parseTransition(text) {
+    const [type, ...words] = text.trim().split(/\s+/);
+    const transition = { type };
+
+    words.forEach((word) => {
+        if (isFinite(parseFloat(word)) && isFinite(word)) {
+            transition.seconds = parseFloat(word);
+        } else if (SCREEN_TRANSITION_DIRECTIONS.hasOwnProperty(word)) {
+            transition.direction = SCREEN_TRANSITION_DIRECTIONS[word];
+        } else {
+            transition.color = word;
+        }
+    });
+
+    return transition;
+}
+
+/**
+ * @param {string} tag 
+ */
+function isPortraitTag(tag) {
+    return /^[a-zA-Z0-9]*-[a-zA-Z0-9]*$/.test(tag) && !SCENE_TAGS.includes(tag);
+}
+
 const BEHAVIOUR_TITLE = `
 let title = FIELD(EVENT, "title", "dialogue");
 if (title) {
@@ -312,7 +495,10 @@ if (say) {
 const BEHAVIOUR_EXIT = `
 let destination = FIELD(EVENT, "exit", "location");
 if (destination) {
-    MOVE(AVATAR, destination);
+    let transition = FIELD(EVENT, "transition", "text");
+    let screen = transition && TRANSITION(transition);
+    MOVE(AVATAR, destination, 0);
+    await screen;
 }
 `;
 
@@ -360,6 +546,7 @@ const START_SCRIPTS = [
 const STANDARD_SCRIPTS = [
     BEHAVIOUR_PAGE_COLOR,
     ...START_SCRIPTS,
+    BEHAVIOUR_SOUND,
     BEHAVIOUR_TITLE,
     BEHAVIOUR_DIALOGUE,
     BEHAVIOUR_EXIT,
@@ -370,14 +557,164 @@ const STANDARD_SCRIPTS = [
     BEHAVIOUR_ADD_BEHAVIOUR,
 ];
 
+// player settings from the options overlay, kept in the browser per game
+const DEFAULT_PLAYER_SETTINGS = {
+    musicVolume: 1,
+    soundVolume: 1,
+    textSpeed: 1,
+    reducedMotion: false,
+};
+
+// seconds the music crossfades over when entering a room with its own music
+const ROOM_MUSIC_FADE = 1;
+
+// seconds the screen takes to slide or fade when walking into a neighbouring room
+const ROOM_EDGE_TRANSITION_TIME = .4;
+
+// ways the screen can change from how it looked before, with TRANSITION, an
+// exit's "transition" field or an ink tag
+const SCREEN_TRANSITIONS = ["fade", "slide", "wipe", "iris", "dissolve", "flash"];
+
+// seconds a screen transition takes when not given any
+const SCREEN_TRANSITION_TIME = .5;
+
+// the way slides and wipes move when written as a word
+const SCREEN_TRANSITION_DIRECTIONS = {
+    left: [-1, 0],
+    right: [1, 0],
+    up: [0, -1],
+    down: [0, 1],
+};
+
+// blocks across the screen that a dissolve swaps one at a time
+const SCREEN_DISSOLVE_BLOCKS = 64;
+
+// pixels the screen shakes by and seconds it shakes for when not given any
+const SHAKE_STRENGTH = 2;
+const SHAKE_TIME = .5;
+
+// cells the avatar's light reaches in dark rooms, unless it has a
+// "light-radius", and how strongly lights with a "light-color" tint what
+// they light
+const AVATAR_LIGHT_RADIUS = 3;
+const LIGHT_TINT = .25;
+
+// seconds between steps when walking to a tapped cell
+const WALK_STEP_DELAY = .15;
+
+// seconds between the steps of events that "patrol", "wander" or "follow",
+// unless they have a "move-delay"
+const NPC_MOVE_DELAY = .4;
+
+// save slot used when SAVE_GAME/LOAD_GAME are not given one, and checked on
+// startup to offer continuing a previous session
+const DEFAULT_SAVE_SLOT = "autosave";
+
+// how many choices the choice menu shows at once unless its style says
+// otherwise, further choices are paged
+const CHOICE_MENU_LINES = 4;
+
+const CHOICE_MENU_CURSOR = "►";
+const CHOICE_MENU_MORE_ABOVE = "▲";
+const CHOICE_MENU_MORE_BELOW = "▼";
+
+// colors of choices taken before and of disabled choices, unless the menu's
+// style has a "visitedColor" or "disabledColor"
+const CHOICE_MENU_VISITED_COLOR = "#A0A0A0";
+const CHOICE_MENU_DISABLED_COLOR = "#606060";
+
+// dialogue voices: how many semitones a blip's pitch varies up or down, a
+// blip every how many letters, and at what volume
+const VOICE_DEFAULTS = {
+    voicePitch: 2,
+    voiceEvery: 2,
+    voiceVolume: .5,
+};
+
+// how many lines of dialogue the transcript keeps
+const TRANSCRIPT_LENGTH = 1000;
+
+/**
+ * @typedef {Object} ChoiceMenuItem
+ * @property {string} text
+ * @property {string} [color]
+ * @property {boolean} [visited]
+ * @property {boolean} [disabled]
+ */
+
+// the pages drawRecolorLayer uses, which only grow, since rooms can be
+// bigger than a screen. smaller destinations use their top left
 const BACKG_PAGE = createRendering2D(ROOM_PX, ROOM_PX); 
 const COLOR_PAGE = createRendering2D(ROOM_PX, ROOM_PX);
 const TILES_PAGE = createRendering2D(ROOM_PX, ROOM_PX);
+// one pixel per cell of the screen, and one more row and column for when
+// the camera is between cells
+const LIGHT_PAGE = createRendering2D(ROOM_SIZE + 1, ROOM_SIZE + 1);
+// the rgb and alpha of each "light-color" seen so far
+const LIGHT_COLORS = new Map();
+
+/**
+ * Read any css color, including translucent ones, by letting the canvas
+ * normalize it to "#rrggbb" or "rgba(r, g, b, a)".
+ * @param {string} css
+ * @returns {{ r: number, g: number, b: number, a: number } | undefined}
+ */
+function parseLightColor(css) {
+    if (!LIGHT_COLORS.has(css)) {
+        // colors the canvas can't read stay transparent and tint nothing
+        LIGHT_PAGE.fillStyle = "transparent";
+        LIGHT_PAGE.fillStyle = css;
+        const style = LIGHT_PAGE.fillStyle;
+        const rgba = style.match(/^rgba\((\d+), (\d+), (\d+), ([\d.]+)\)$/);
+
+        let color = undefined;
+        if (style.startsWith("#")) {
+            const { r, g, b } = hexToRGB(style);
+            color = { r, g, b, a: 1 };
+        } else if (rgba) {
+            const [r, g, b, a] = rgba.slice(1).map(parseFloat);
+            color = { r, g, b, a };
+        }
+        LIGHT_COLORS.set(css, color);
+    }
+    return LIGHT_COLORS.get(css);
+}
+
+// the screen a transition starts from, a copy of the screen being
+// transitioned to or shaken, and which blocks a dissolve has swapped
+const SCREEN_FROM_PAGE = createRendering2D(256, 256);
+const SCREEN_COPY_PAGE = createRendering2D(256, 256);
+const DISSOLVE_MASK_PAGE = createRendering2D(SCREEN_DISSOLVE_BLOCKS, SCREEN_DISSOLVE_BLOCKS);
+
+/**
+ * Copy a rendering onto a page kept for it, which only changes size if the
+ * rendering has.
+ * @param {CanvasRenderingContext2D} rendering 
+ * @param {CanvasRenderingContext2D} page 
+ */
+function snapshotRendering2D(rendering, page) {
+    const { width, height } = rendering.canvas;
+    if (page.canvas.width !== width || page.canvas.height !== height) {
+        page.canvas.width = width;
+        page.canvas.height = height;
+        page.imageSmoothingEnabled = false;
+    }
+
+    fillRendering2D(page);
+    page.drawImage(rendering.canvas, 0, 0);
+    return page;
+}
 
 function drawRecolorLayer(destination, render) {
-    fillRendering2D(BACKG_PAGE);
-    fillRendering2D(COLOR_PAGE);
-    fillRendering2D(TILES_PAGE);
+    const { width, height } = destination.canvas;
+    [BACKG_PAGE, COLOR_PAGE, TILES_PAGE].forEach((page) => {
+        if (page.canvas.width < width || page.canvas.height < height) {
+            page.canvas.width = Math.max(page.canvas.width, width);
+            page.canvas.height = Math.max(page.canvas.height, height);
+            page.imageSmoothingEnabled = false;
+        }
+        page.clearRect(0, 0, width, height);
+    });
 
     render(BACKG_PAGE, COLOR_PAGE, TILES_PAGE);
 
@@ -389,8 +726,8 @@ function drawRecolorLayer(destination, render) {
     COLOR_PAGE.drawImage(TILES_PAGE.canvas, 0, 0);
     COLOR_PAGE.globalCompositeOperation = "source-over";
 
-    destination.drawImage(BACKG_PAGE.canvas, 0, 0);
-    destination.drawImage(COLOR_PAGE.canvas, 0, 0);
+    destination.drawImage(BACKG_PAGE.canvas, 0, 0, width, height, 0, 0, width, height);
+    destination.drawImage(COLOR_PAGE.canvas, 0, 0, width, height, 0, 0, width, height);
 }
 
 const BACKG_PAGE_D = createRendering2D(555, 555); 
@@ -447,26 +784,110 @@ class BipsiPlayback extends EventTarget {
         this.visibleImagesLoadedWaiter = { then: (resolve, reject) => this.visibleImagesLoaded().then(resolve, reject) };
         this.proceedWaiter = { then: (resolve) => this.addEventListener("proceed", resolve, { once: true }) };
 
-        this.music = document.createElement("audio");
-        this.music.loop = true;
+        this.music = makeMusicElement();
+        this.musicVolume = 1;
         this.autoplay = false;
+        // music elements changing volume, including tracks fading out
+        /** @type {Map<HTMLAudioElement, { from: number, to: number, duration: number, time: number }>} */
+        this.musicFades = new Map();
+
+        // web audio is used for short sounds that must play on time
+        /** @type {AudioContext} */
+        this.audioContext = undefined;
+        /** @type {Map<string, Promise<AudioBuffer>>} */
+        this.audioBuffers = new Map();
+        // sounds currently playing
+        /** @type {Set<AudioBufferSourceNode>} */
+        this.sounds = new Set();
+
+        // player saves are kept apart from editor saves
+        this.saves = new maker.ProjectStorage("binksi-saves");
 
         this.variables = new Map();
         this.images = new Map();
 
         this.extra_behaviours = [];
+
+        // [variable name, observer] pairs registered with the story, the
+        // events they were registered for and the variables "visible-if"
+        // conditions read
+        this.inkObservers = [];
+        this.observedEventIds = new Set();
+        this.visibilityVariables = new Set();
+        // "visible-if" conditions compiled into stories of their own, or null
+        // for those that failed to compile
+        /** @type {Map<string, any>} */
+        this.inkConditionStories = new Map();
+        // events the avatar is within "ink-flow-radius" of
+        this.approachedEventIds = new Set();
+        // events the avatar is within "trigger-radius" of, or standing on
+        this.nearEventIds = new Set();
+        this.steppedEventIds = new Set();
+        // whether trigger scripts are running, and whether to check again after
+        this.checkingTriggers = false;
+        this.triggersPending = false;
+        // events whose "visible-if" condition is currently false
+        this.hiddenEventIds = new Set();
+        // the walk to a tapped cell in progress, if any
+        this.walk = undefined;
+        // events whose graphic is sliding to their position, by event id
+        /** @type {Map<string, { event: BipsiDataEvent, from: number[], to: number[], duration: number, time: number, resolve: () => void }>} */
+        this.tweens = new Map();
+        // progress of events that "patrol", "wander" or "follow", by event id
+        /** @type {Map<string, { time: number, step: number, home: number[] }>} */
+        this.movers = new Map();
+        // cell of the avatar's room at the top left of the screen, and the
+        // room it was last placed in
+        this.camera = [0, 0];
+        this.cameraRoomId = undefined;
+        // the screen changing from a snapshot of how it looked before
+        /** @type {{ type: string, from: CanvasRenderingContext2D, color: string, direction: number[], center: number[], noise?: Float32Array, duration: number, time: number, resolve: () => void }} */
+        this.transition = undefined;
+        // the screen shaking, weaker as it goes on
+        /** @type {{ strength: number, duration: number, time: number, resolve: () => void }} */
+        this.shaking = undefined;
+        // seconds that palette color cycles have been running, and the
+        // colors rooms are blending from after changing palette, by room id
+        this.paletteTime = 0;
+        /** @type {Map<number, { from: string[], duration: number, time: number, resolve: () => void }>} */
+        this.paletteFades = new Map();
         
         this.choiceExpected = false;
         this.story = undefined
+
+        // everything said, for the transcript overlay
+        /** @type {{ speaker?: string, text: string }[]} */
+        this.transcript = [];
+        this.transcriptOpen = false;
+
+        this.settings = { ...DEFAULT_PLAYER_SETTINGS };
+        this.optionsOpen = false;
     }
 
     async init() {
         await this.dialoguePlayback.load();
+        this.loadSettings();
+        this.dialoguePlayback.addEventListener("reveal", (event) => this.playVoiceBlip(event.detail.page, event.detail.index));
     }
 
     async initWithStory(story){
         await this.init()
         this.story = story;
+        this.bindInkExternals();
+    }
+
+    bindInkExternals() {
+        for (const [name, { func, lookaheadSafe }] of Object.entries(BipsiPlayback.inkExternals)) {
+            this.story.BindExternalFunction(name, (...args) => {
+                const defines = this.makeScriptingDefines(getEventById(this.data, this.avatarId));
+                try {
+                    return func.apply(defines, args);
+                } catch (e) {
+                    this.log(`> INK EXTERNAL ERROR ${name}: "${e}"`);
+                    this.showError(`INK EXTERNAL ERROR:\n${name}: ${e}`);
+                }
+            }, lookaheadSafe);
+        }
     }
 
     /** @type {BipsiDataProject} */
@@ -506,14 +927,37 @@ class BipsiPlayback extends EventTarget {
         this.ended = false;
         this.dialoguePlayback.clear();
         this.variables.clear();
+        this.approachedEventIds.clear();
+        this.nearEventIds.clear();
+        this.steppedEventIds.clear();
+        this.hiddenEventIds.clear();
+        this.stopWalking();
+        this.tweens.forEach((tween) => tween.resolve());
+        this.tweens.clear();
+        this.movers.clear();
+        this.cameraRoomId = undefined;
+        this.transition?.resolve();
+        this.transition = undefined;
+        this.shaking?.resolve();
+        this.shaking = undefined;
+        this.paletteTime = 0;
+        this.paletteFades.forEach((fade) => fade.resolve());
+        this.paletteFades.clear();
+        // the transcript is kept across restarts
+        this.toggleTranscript(false);
 
         this.music.removeAttribute("src");
         this.music.pause();
+        this.musicFades.forEach((fade, music) => music.pause());
+        this.musicFades.clear();
+        this.stopSounds();
+        this.audioBuffers.clear();
         this.images.clear();
         this.extra_behaviours.length = 0;
         this.imageElements.clear();
         this.objectURLs.forEach((url) => URL.revokeObjectURL(url));
         this.objectURLs.clear();
+        this.unobserveInkVariables();
     }
 
     getFileObjectURL(id) {
@@ -549,9 +993,16 @@ class BipsiPlayback extends EventTarget {
         moveEvent(this.data, avatar, { room: room.id, position: [...avatar.position] });
 
         this.avatarId = avatar.id;
+        this.avatarRoomId = room.id;
         this.libraryId = findEventByTag(this.data, "is-library")?.id;
         this.ready = true;
 
+        this.observeInkVariables();
+        this.updateEventVisibility();
+
+        // music set by the setup event or player avatar takes over from the room's
+        this.playRoomMusic(room, 0);
+
         const setup = findEventByTag(this.data, "is-setup");
         if (setup) await this.touch(setup);
 
@@ -560,9 +1011,302 @@ class BipsiPlayback extends EventTarget {
         for (let script of START_SCRIPTS) {
             await this.runJS(avatar, script);
         }
+
+        // offer to pick up where the player left off last time, but not
+        // when playtesting from the editor, where the save would replace
+        // the project being edited
+        const playtest = document.documentElement.getAttribute("data-debug");
+        if (!playtest && await this.hasSave()) {
+            const sayStyle = oneField(avatar, "say-style", "json")?.data || {};
+            const choice = await this.choose(["continue", "new game"], sayStyle);
+            if (choice === 0 && await this.loadGame()) return;
+        }
+
         await this.continueStory(avatar);
     }
 
+    /**
+     * Storage key for a save slot. Saves are namespaced by page so that games
+     * hosted on the same origin don't overwrite each other.
+     * @param {string} slot 
+     */
+    getSaveKey(slot=DEFAULT_SAVE_SLOT) {
+        return `${window.location.pathname}#${slot}`;
+    }
+
+    makeSaveData() {
+        const variables = new Map();
+
+        this.variables.forEach((value, key) => {
+            // SAMPLE iterators can't be stored and restart after loading
+            if (value?.next) return;
+
+            try {
+                variables.set(key, JSON.parse(JSON.stringify(value)));
+            } catch (e) {
+                this.log(`> VARIABLE "${key}" NOT SAVED: ${e}`);
+            }
+        });
+
+        const images = Array.from(this.images, ([id, { fileIDs, layer, x, y }]) => ({ id, fileIDs, layer, x, y }));
+        const musicSrc = this.music.getAttribute("src");
+        const [music] = Array.from(this.objectURLs).find(([, url]) => url === musicSrc) ?? [];
+
+        return {
+            project: COPY(this.data),
+            story: this.story.state.toJson(),
+            avatarId: this.avatarId,
+            variables,
+            images,
+            music,
+        };
+    }
+
+    /**
+     * Save the current session. Resolves to false if the browser can't store
+     * it, e.g in private browsing or when storage is full.
+     */
+    async saveGame(slot=DEFAULT_SAVE_SLOT) {
+        try {
+            await this.saves.save(this.makeSaveData(), this.getSaveKey(slot));
+        } catch (e) {
+            this.log(`> GAME "${slot}" NOT SAVED: ${e}`);
+            return false;
+        }
+
+        this.log(`> SAVED GAME "${slot}"`);
+        return true;
+    }
+
+    async hasSave(slot=DEFAULT_SAVE_SLOT) {
+        const save = await this.saves.load(this.getSaveKey(slot)).catch(() => undefined);
+        return save !== undefined;
+    }
+
+    /**
+     * Replace the current session with saved data, without continuing the
+     * story.
+     */
+    async restoreGame(save) {
+        this.dialoguePlayback.clear();
+        this.stopMusic();
+        this.images.clear();
+        this.choiceExpected = false;
+        this.ended = false;
+
+        // nothing from the abandoned session should keep moving or count as
+        // already approached, stepped on or near. updates wait until the
+        // save is in place
+        this.ready = false;
+        this.stopWalking();
+        this.tweens.forEach((tween) => tween.resolve());
+        this.tweens.clear();
+        this.movers.clear();
+        this.triggersPending = false;
+        this.approachedEventIds.clear();
+        this.nearEventIds.clear();
+        this.steppedEventIds.clear();
+
+        // the saved project only refers to resources this game already has,
+        // so load it as a bundle with those
+        const resources = await this.stateBackup.resources.save(this.stateBackup.getManifest(save.project));
+        await this.stateManager.loadBundle({ project: save.project, resources });
+
+        // forget what was made from the replaced resources
+        this.audioBuffers.clear();
+        this.imageElements.clear();
+        this.objectURLs.forEach((url) => URL.revokeObjectURL(url));
+        this.objectURLs.clear();
+
+        this.avatarId = save.avatarId;
+        this.avatarRoomId = roomFromEvent(this.data, getEventById(this.data, this.avatarId)).id;
+        this.libraryId = findEventByTag(this.data, "is-library")?.id;
+        this.cameraRoomId = undefined;
+
+        this.variables.clear();
+        save.variables.forEach((value, key) => this.variables.set(key, value));
+        this.sendVariables();
+
+        this.story.state.LoadJson(save.story);
+        this.observeInkVariables();
+        this.updateEventVisibility();
+
+        if (save.music) {
+            this.playMusic(this.getFileObjectURL(save.music));
+        }
+
+        this.ready = true;
+        await Promise.all(save.images.map(({ id, fileIDs, layer, x, y }) => this.showImage(id, fileIDs, layer, x, y)));
+    }
+
+    /**
+     * Restore a saved session and continue its story. Resolves to false if
+     * there is no save in the slot.
+     */
+    async loadGame(slot=DEFAULT_SAVE_SLOT) {
+        const save = await this.saves.load(this.getSaveKey(slot)).catch(() => undefined);
+        if (save === undefined) {
+            this.log(`> NO SAVED GAME "${slot}"`);
+            return false;
+        }
+
+        await this.restoreGame(save);
+        this.log(`> LOADED GAME "${slot}"`);
+        await this.continueStory(getEventById(this.data, this.avatarId));
+        return true;
+    }
+
+    /**
+     * Run the "on-ink-var" script of every event with "watch-ink-var" fields
+     * whenever one of the named ink variables changes, and re-check
+     * "visible-if" conditions when the variables they read change.
+     */
+    observeInkVariables() {
+        this.unobserveInkVariables();
+        allEvents(this.data).forEach((event) => this.observeEventInkVariables(event));
+    }
+
+    /**
+     * Watch the ink variables that an event's fields depend on. Events that
+     * join the game after it started, like copies moved into a room, are
+     * watched when they arrive.
+     * @param {BipsiDataEvent} event 
+     * @returns {boolean} false if the event was already watched
+     */
+    observeEventInkVariables(event) {
+        if (this.observedEventIds.has(event.id)) return false;
+        this.observedEventIds.add(event.id);
+
+        FIELDS(event, "watch-ink-var", "text").forEach((name) => {
+            const observer = (variableName, value) => {
+                // look the event up again, it may have been removed or replaced by a load
+                const watcher = getEventById(this.data, event.id);
+                const script = watcher && FIELD(watcher, "on-ink-var", "javascript");
+                if (script !== undefined) {
+                    this.runJS(watcher, script, { INK_VAR_NAME: variableName, INK_VAR_VALUE: value });
+                }
+            };
+
+            try {
+                this.story.ObserveVariable(name, observer);
+                this.inkObservers.push([name, observer]);
+            } catch (e) {
+                this.log(`> CAN'T WATCH INK VARIABLE "${name}" ${this.eventDebugInfo(event)}: ${e}`);
+            }
+        });
+
+        // one observer per variable re-checks every condition
+        const condition = FIELD(event, "visible-if", "text");
+        const names = condition ? this.getInkConditionVariables(condition) : [];
+        names.filter((name) => !this.visibilityVariables.has(name)).forEach((name) => {
+            const observer = () => this.updateEventVisibility();
+            this.story.ObserveVariable(name, observer);
+            this.inkObservers.push([name, observer]);
+            this.visibilityVariables.add(name);
+        });
+
+        return true;
+    }
+
+    /**
+     * @param {string} condition 
+     * @returns {string[]} the global ink variables the condition may read
+     */
+    getInkConditionVariables(condition) {
+        const names = new Set(condition.match(/[A-Za-z_]\w*/g));
+        return [...names].filter((name) => this.story.variablesState.GlobalVariableExistsWithName(name));
+    }
+
+    /**
+     * Evaluate an ink condition against the story's global variables. The
+     * condition is compiled by ink into a story of its own, with the same
+     * lists and the variables it reads, so it understands everything ink
+     * conditions do. A condition that doesn't compile throws the first time
+     * and is true after that, so it's only compiled and reported once.
+     * @param {string} condition 
+     * @returns {boolean}
+     */
+    evaluateInkCondition(condition) {
+        const names = this.getInkConditionVariables(condition);
+        let story = this.inkConditionStories.get(condition);
+
+        if (story === null) return true;
+
+        if (!story) {
+            const lists = this.story.listDefinitions.lists;
+            const listNames = lists.map((list) => list.name);
+            const source = [
+                ...lists.map((list) => {
+                    const items = Array.from(list.items, ([item, value]) => `${JSON.parse(item).itemName} = ${value}`);
+                    return `LIST ${list.name} = ${items.join(", ")}`;
+                }),
+                // lists are variables already, the values are copied in below
+                ...names.filter((name) => !listNames.includes(name)).map((name) => `VAR ${name} = 0`),
+                `{${condition}:1|0}`,
+            ].join("\n");
+
+            const errors = [];
+            const options = new inkjs.CompilerOptions(null, [], false, (message) => {
+                if (message.startsWith("ERROR")) errors.push(message.replace(/^ERROR: (line \d+: )?/, ""));
+            });
+
+            try {
+                story = new inkjs.Compiler(source, options).Compile();
+            } catch (e) {
+                story = undefined;
+            }
+
+            if (!story || errors.length > 0) {
+                this.inkConditionStories.set(condition, null);
+                throw new Error(errors.join(", ") || "can't compile");
+            }
+            this.inkConditionStories.set(condition, story);
+        }
+
+        story.ResetState();
+        names.forEach((name) => story.variablesState.$(name, this.story.variablesState.$(name)));
+        return story.ContinueMaximally().trim() === "1";
+    }
+
+    /**
+     * Hide or show every event with a "visible-if" field according to the
+     * current ink variables. Hidden events stay where they are but aren't
+     * drawn, don't block and can't be touched.
+     */
+    updateEventVisibility() {
+        if (!this.story) return;
+
+        this.hiddenEventIds.clear();
+        allEvents(this.data).forEach((event) => {
+            const condition = FIELD(event, "visible-if", "text");
+            if (!condition) return;
+
+            let visible = true;
+            try {
+                visible = this.evaluateInkCondition(condition);
+            } catch (e) {
+                this.log(`> BAD visible-if "${condition}" ${this.eventDebugInfo(event)}: ${e.message}`);
+            }
+
+            if (!visible) this.hiddenEventIds.add(event.id);
+        });
+    }
+
+    /**
+     * @param {BipsiDataEvent[]} events 
+     * @returns {BipsiDataEvent[]} the events not hidden by "visible-if"
+     */
+    visibleEvents(events) {
+        return events.filter((event) => !this.hiddenEventIds.has(event.id));
+    }
+
+    unobserveInkVariables() {
+        this.inkObservers.forEach(([name, observer]) => this.story?.RemoveVariableObserver(observer, name));
+        this.inkObservers.length = 0;
+        this.observedEventIds.clear();
+        this.visibilityVariables.clear();
+    }
+
     async spawnAt(target, event){
         let targetEvent = findEventByTag(this.data, target);
         if(targetEvent){
@@ -608,7 +1352,7 @@ class BipsiPlayback extends EventTarget {
                 portraitShown = true;
             }
         }
-        await this.say(text, options);
+        await this.say(text, options, character);
         if(portraitShown){
             await this.hideImage("portrait");
         }
@@ -653,6 +1397,82 @@ class BipsiPlayback extends EventTarget {
                 return true;
             }
         },
+        async function handleSaveGame({paragraphText}) {
+            const matchSave = paragraphText.match(/SAVE_GAME\(([^)]*)\)/)
+            if ( matchSave ){
+                const slot = matchSave[1].trim() || DEFAULT_SAVE_SLOT;
+                await this.saveGame(slot);
+                return true;
+            }
+        },
+        async function handleLoadGame({paragraphText}) {
+            const matchLoad = paragraphText.match(/LOAD_GAME\(([^)]*)\)/)
+            if ( matchLoad ){
+                const slot = matchLoad[1].trim() || DEFAULT_SAVE_SLOT;
+                // only restore here, the story being continued picks up
+                // from the loaded state
+                const save = await this.saves.load(this.getSaveKey(slot)).catch(() => undefined);
+                if (save !== undefined) {
+                    await this.restoreGame(save);
+                }
+                return true;
+            }
+        },
+        async function handleMoodTags({tags}) {
+            // this handler only changes the scene, the text is still displayed
+            const library = getEventById(this.data, this.libraryId);
+            // names resolve to library files the same way as FIELDS_OR_LIBRARY
+            const libraryFiles = (key, value) => {
+                if (!library) return [];
+                const names = value ? value.split(",").map((name) => name.trim()) : [];
+                return names.length > 0
+                     ? names.map((name) => FIELD(library, name, "file")).filter(Boolean)
+                     : FIELDS(library, key, "file");
+            };
+
+            for (let i = 0; i < tags.length; ++i) {
+                const [, key, value] = tags[i].match(/^\s*([a-zA-Z-]+)\s*(?::\s*(.*?))?\s*$/) ?? [];
+
+                if (key === "music") {
+                    const [file] = libraryFiles(key, value);
+                    if (file) this.playMusic(this.getFileObjectURL(file));
+                } else if (key === "stop-music") {
+                    this.stopMusic();
+                } else if (key === "sfx") {
+                    libraryFiles(key, value).forEach((file) => this.playSound(file));
+                } else if (key in IMAGE_LAYERS) {
+                    const files = libraryFiles(key, value);
+                    await this.showImage(key.toUpperCase(), files, IMAGE_LAYERS[key], 0, 0);
+                } else if (key?.startsWith("clear-") && key.slice(6) in IMAGE_LAYERS) {
+                    this.hideImage(key.slice(6).toUpperCase());
+                } else if (SCREEN_TRANSITIONS.includes(key)) {
+                    let transition = parseTransition(`${key} ${value ?? ""}`);
+                    // as with page-color, "fade: #222 1" arrives as "fade:"
+                    // then "222 1"
+                    if (!transition.color && /^[0-9a-fA-F]{3,8}(\s|$)/.test(tags[i+1] ?? "")) {
+                        transition = parseTransition(`${key} ${value ?? ""} #${tags[++i].trim()}`);
+                    }
+                    const { type, seconds, ...options } = transition;
+                    this.startTransition(type, seconds ?? SCREEN_TRANSITION_TIME, options);
+                } else if (key === "palette") {
+                    // "palette: night 2" blends to the palette named night
+                    // over 2 seconds
+                    const [, name, seconds] = (value ?? "").match(/^(.*?)(?:\s+(\d*\.?\d+))?$/);
+                    const avatar = getEventById(this.data, this.avatarId);
+                    const room = roomFromEvent(this.data, avatar);
+                    const palette = findPalette(this.data, name);
+                    if (room && palette) this.setRoomPalette(room, palette, parseFloat(seconds) || 0);
+                } else if (key === "shake") {
+                    const [strength, seconds] = (value ?? "").split(/\s+/).map(parseFloat);
+                    this.startShaking(strength || SHAKE_STRENGTH, seconds || SHAKE_TIME);
+                } else if (key === "page-color") {
+                    // ink starts a new tag at an unescaped #, so "page-color: #222"
+                    // arrives as "page-color:" then "222"
+                    const color = value || (tags[i+1] !== undefined ? `#${tags[++i].trim()}` : undefined);
+                    if (color) SCRIPTING_FUNCTIONS.SET_CSS("--page-color", color);
+                }
+            }
+        },
         async function handleTitleTag({paragraphText, tags}) {
             if(tags.includes("TITLE")){
                 const [, background] = this.getActivePalette().colors;
@@ -670,7 +1490,7 @@ class BipsiPlayback extends EventTarget {
             }
         },
         async function handlePortraitMode({paragraphText, tags, sayStyle}) {
-            const portrait = tags.find(t => t.match(/^[a-zA-Z0-9]*-[a-zA-Z0-9]*$/))
+            const portrait = tags.find(isPortraitTag)
             if(portrait){
                 const [, character, sentiment] = portrait.match(/([a-zA-Z0-9]*)-([a-zA-Z0-9]*)/);
                 await this.sayWithPortrait(paragraphText, character, sentiment, sayStyle)
@@ -679,23 +1499,129 @@ class BipsiPlayback extends EventTarget {
         }
     ];
 
+    // inkExternals is static so that plugins can register more before the story is bound.
+    // Each one is bound as the ink EXTERNAL function of the same name, that the story must declare (e.g EXTERNAL tag(event, name)).
+    // "this" in a function will be set to the scripting defines, as in javascript fields, with EVENT being the avatar.
+    // Events are referred to by tag. A function must return nothing or a value ink understands (number, string, boolean).
+    // Functions with side effects must not be lookaheadSafe. fallback is returned when previewing in the story editor.
+    static inkExternals = {
+        move: {
+            func(event, target) {
+                const moved = this.FIND_EVENT(event);
+                const destination = this.FIND_EVENT(target);
+                if (moved && destination) {
+                    // ink is still running, so trigger scripts that might
+                    // continue the story wait until it has finished the line
+                    this.PLAYBACK.placeEvent(moved, this.LOCATION_OF(destination), FIELD(moved, "move-speed", "json"));
+                    Promise.resolve().then(() => this.PLAYBACK.checkTriggers());
+                }
+            },
+        },
+        tag: {
+            func(event, name) {
+                const tagged = this.FIND_EVENT(event);
+                if (tagged) this.TAG(tagged, name);
+            },
+        },
+        untag: {
+            func(event, name) {
+                const tagged = this.FIND_EVENT(event);
+                if (tagged) this.UNTAG(tagged, name);
+            },
+        },
+        is_tagged: {
+            func(event, name) {
+                const tagged = this.FIND_EVENT(event);
+                return tagged ? this.IS_TAGGED(tagged, name) : false;
+            },
+            lookaheadSafe: true,
+            fallback: false,
+        },
+        play_music: {
+            func(name) {
+                const file = this.LIBRARY && this.FIELD(this.LIBRARY, name, "file");
+                if (file) this.PLAY_MUSIC(file);
+            },
+        },
+        stop_music: {
+            func() {
+                this.STOP_MUSIC();
+            },
+        },
+        play_sound: {
+            func(name) {
+                const file = this.LIBRARY && this.FIELD(this.LIBRARY, name, "file");
+                if (file) this.PLAY_SOUND(file);
+            },
+        },
+        show_image: {
+            func(id, name, layer, x, y) {
+                const files = this.LIBRARY ? this.FIELDS(this.LIBRARY, name, "file") : [];
+                this.SHOW_IMAGE(id, files, layer, x, y);
+            },
+        },
+        hide_image: {
+            func(id) {
+                this.HIDE_IMAGE(id);
+            },
+        },
+        get: {
+            func(key) {
+                return this.GET(key, 0);
+            },
+            lookaheadSafe: true,
+            fallback: 0,
+        },
+        set: {
+            func(key, value) {
+                this.SET(key, value);
+            },
+        },
+    };
+
     async runParagraphHandlers(context) {
         for (const h of BipsiPlayback.paragraphHandlers) {
             if (await h.call(this, context) === true) return true;
         }
     }
 
-    async continueStory(EVENT){
+    /**
+     * Run a function on the story switched to a named flow, or on the current
+     * flow if no name is given, then switch back.
+     * @template T
+     * @param {string} flow 
+     * @param {() => T} func 
+     * @returns {T}
+     */
+    inFlow(flow, func) {
+        if (flow === undefined) return func();
+
+        const previous = this.story.currentFlowName;
+        this.story.SwitchFlow(flow);
+        try {
+            return func();
+        } finally {
+            this.story.SwitchFlow(previous);
+        }
+    }
+
+    /**
+     * @param {BipsiDataEvent} EVENT the event the story is continued for
+     * @param {string} flow name of the ink flow to continue, the main flow if
+     * not given
+     */
+    async continueStory(EVENT, flow=undefined){
         const story = this.story;
         const AVATAR = findEventByTag(this.data, "is-player");
         const defaultSayStyle = oneField(EVENT, "say-style", "json")?.data
                              || oneField(AVATAR, "say-style", "json")?.data
                              || {};
 
-        while(story.canContinue) {
+        // only switch to the flow while talking to ink so that anything
+        // happening while dialogue plays finds the main flow
+        while(this.inFlow(flow, () => story.canContinue)) {
             // Get ink to generate the next paragraph
-            var paragraphText = this.story.Continue().trim();
-            var tags = story.currentTags;
+            var [paragraphText, tags] = this.inFlow(flow, () => [story.Continue().trim(), story.currentTags]);
 
             if(paragraphText.length > 0){
                 const context = {
@@ -710,12 +1636,12 @@ class BipsiPlayback extends EventTarget {
             }
         }
 
-        const choices = this.story.currentChoices;
+        const choices = this.inFlow(flow, () => story.currentChoices);
 
         const autoChoice = choices.find( (choice) => choice.text.startsWith("auto:"))
         if(autoChoice !== undefined){
-            story.ChooseChoiceIndex(autoChoice.index)
-            return await this.continueStory(EVENT);
+            this.inFlow(flow, () => story.ChooseChoiceIndex(autoChoice.index))
+            return await this.continueStory(EVENT, flow);
         }
 
         const dialogChoices = choices.filter( (choice) => {
@@ -724,44 +1650,27 @@ class BipsiPlayback extends EventTarget {
             return true;
         })
 
-        const continueStory = this.continueStory.bind(this)
-
         if(dialogChoices.length > 0){
-            const availableArrows = [
-                ["ArrowUp", "↑"],
-                ["ArrowDown", "↓"],
-                ["ArrowLeft", "←"],
-                ["ArrowRight", "→"]
-            ];
-            this.choiceExpected = true;
-            const dialogChoicesTexts = [];
-            const playback = this;
-
-            const choiceEvents = new Map();
-            
-            let choiceTags = []
-            dialogChoices.forEach(function(choice) {
-                const [arrowEvent, glyph] = availableArrows.shift() || [];
-                if(arrowEvent){
-                    dialogChoicesTexts.push(`${glyph} ${choice.text}`);
-                    choiceEvents.set(arrowEvent,  () => {
-                        story.ChooseChoiceIndex(choice.index);
-                    });
-                    choiceTags = [...choiceTags, ...choice.tags];
-                }
-            });
+            const dialogChoicesItems = dialogChoices.map((choice) => this.getChoiceMenuItem(choice));
+            const choiceTags = dialogChoices.flatMap((choice) => choice.tags ?? []);
+            const menuLines = Math.min(dialogChoices.length, CHOICE_MENU_LINES);
+
+            // a "# timeout: 5" tag picks the "default:" choice (or the first one) after 5 seconds
+            const timeoutTag = choiceTags.find((tag) => tag.match(/^timeout\s*:/));
+            const timeout = timeoutTag ? parseFloat(timeoutTag.split(":")[1]) : undefined;
+            const defaultIndex = Math.max(0, dialogChoices.findIndex((choice) => choice.text.startsWith("default:")));
 
             let choiceSayStyle = {};
 
-            const portrait = choiceTags.find(t => t.match(/^[a-zA-Z0-9]*-[a-zA-Z0-9]*$/))
+            const portrait = choiceTags.find(isPortraitTag)
 
             // by default, if there is a portrait, show it above the choices
             if(portrait){
                 const height = DIALOGUE_DEFAULTS.padding * 2 
-                    + (10 + DIALOGUE_DEFAULTS.lineGap) * dialogChoicesTexts.length;
+                    + (10 + DIALOGUE_DEFAULTS.lineGap) * menuLines;
                 choiceSayStyle = {
                     ...choiceSayStyle,
-                    portraitY: 102 - height/2 + dialogChoicesTexts.length,
+                    portraitY: 102 - height/2 + menuLines,
                 }
             }
 
@@ -781,40 +1690,346 @@ class BipsiPlayback extends EventTarget {
                 portraitShown = await this.showPortrait(character, sentiment, choiceSayStyle)
             }  
 
-            //always display choices at the bottom
-            this.say(dialogChoicesTexts.join("\n"), {
-                ...defaultSayStyle,
-                ...{"noMargin": true,
-                    "anchorX": 0, "anchorY": 1, lineWidth: 40*6,
-                    "lines": dialogChoicesTexts.length,
-                    },
-                ...choiceSayStyle, 
-                })
-            
-            const listenToChoice = (portraitShown) => {
-                const listener = (event) =>{
-                    const choiceAction = choiceEvents.get(event.detail)
-                    if(choiceAction){
-                        if(portraitShown){
-                            this.hideImage("portrait");
-                        }
-                        choiceAction();
-                        playback.proceed();
-                        playback.removeEventListener('choice', listener);
-                        playback.choiceExpected = false;
-                        continueStory(EVENT);
-                    }
+            // not awaited: touches that led here carry on while the player decides
+            this.choose(dialogChoicesItems, defaultSayStyle, choiceSayStyle, timeout || undefined, defaultIndex).then((index) => {
+                if(portraitShown){
+                    this.hideImage("portrait");
                 }
-                return listener;
+                // ink only counts visits to some choices' content, make it
+                // count this one so the menu can show it was taken
+                const target = story.ContentAtPath(dialogChoices[index].targetPath).container;
+                if (target) target.visitsShouldBeCounted = true;
+                this.inFlow(flow, () => story.ChooseChoiceIndex(dialogChoices[index].index));
+                return this.continueStory(EVENT, flow);
+            }).catch((e) => {
+                // nothing waits on this, so don't leave the player stuck on
+                // a menu that is gone
+                this.choiceExpected = false;
+                this.log(`> CHOICE ERROR "${e}"`);
+                this.showError(`CHOICE ERROR:\n${e}`);
+            });
+        }else if(flow !== undefined){
+            this.choiceExpected = false
+            // a finished side flow is forgotten, unless it waits for a tagged choice
+            if(choices.length === 0){
+                story.RemoveFlow(flow);
             }
-            this.addEventListener("choice", listenToChoice(portraitShown));
         }else{
             this.choiceExpected = false
+            await this.checkRoomEntry();
         }
     }
 
-    update(dt) {
-        if (!this.ready) return;
+    /**
+     * @param {any} choice an ink choice
+     * @returns {ChoiceMenuItem} the choice's menu option, colored by a
+     * "# clr=color" tag, unpickable with a "# disabled" tag and dimmed if it
+     * was taken before
+     */
+    getChoiceMenuItem(choice) {
+        const tags = choice.tags ?? [];
+
+        const clr = tags.findIndex((tag) => tag.match(/^clr\s*=/));
+        let color = clr >= 0 ? tags[clr].split("=")[1].trim() : undefined;
+        // ink starts a new tag at an unescaped #, so "clr=#f00" arrives as
+        // "clr=" then "f00"
+        if (color === "" && tags[clr+1] !== undefined) color = `#${tags[clr+1].trim()}`;
+
+        return {
+            text: choice.text.replace(/^default:/, "").trim(),
+            color: color || undefined,
+            disabled: tags.includes("disabled"),
+            visited: this.story.state.VisitCountAtPathString(choice.targetPath.toString()) > 0,
+        };
+    }
+
+    /**
+     * Run the "ink-flow-knot" of an event in its own ink flow, so that
+     * the main story and its pending choices are left where they are.
+     * @param {BipsiDataEvent} event 
+     */
+    async continueEventFlow(event) {
+        const knot = FIELD(event, "ink-flow-knot", "text");
+        const flow = FIELD(event, "ink-flow", "text") ?? `EVENT-FLOWS/${event.id}`;
+
+        try {
+            this.inFlow(flow, () => this.story.ChoosePathString(knot));
+        } catch (e) {
+            this.log(`> NO INK KNOT "${knot}" ${this.eventDebugInfo(event)}: ${e}`);
+            this.showError(`NO INK KNOT "${knot}"`);
+            return;
+        }
+
+        await this.continueStory(event, flow);
+    }
+
+    /**
+     * Run the flow of events in the avatar's room with an "ink-flow-radius"
+     * when the avatar comes within that many cells of them.
+     */
+    async checkApproachedEvents() {
+        const avatar = getEventById(this.data, this.avatarId);
+        const room = roomFromEvent(this.data, avatar);
+        const [ax, ay] = avatar.position;
+
+        const previous = this.approachedEventIds;
+        this.approachedEventIds = new Set();
+
+        for (const event of this.visibleEvents(room.events)) {
+            const radius = FIELD(event, "ink-flow-radius", "json");
+            if (radius === undefined || !FIELD(event, "ink-flow-knot", "text")) continue;
+
+            const [ex, ey] = event.position;
+            if (Math.max(Math.abs(ex - ax), Math.abs(ey - ay)) > radius) continue;
+
+            this.approachedEventIds.add(event.id);
+            if (!previous.has(event.id)) {
+                await this.continueEventFlow(event);
+            }
+        }
+    }
+
+    /**
+     * Run the scripts of events whose place relative to the avatar changed
+     * since the last check: "on-step" when the avatar arrives on them,
+     * "on-enter-radius" and "on-leave-radius" when the avatar comes within or
+     * goes beyond their "trigger-radius". Called whenever an event moves, and
+     * a check asked for while trigger scripts are running happens after them.
+     */
+    async checkTriggers() {
+        if (this.checkingTriggers) {
+            this.triggersPending = true;
+            return;
+        }
+
+        this.checkingTriggers = true;
+        try {
+            do {
+                this.triggersPending = false;
+                await this.runTriggers();
+            } while (this.triggersPending && this.ready);
+        } finally {
+            this.checkingTriggers = false;
+        }
+    }
+
+    async runTriggers() {
+        const avatar = getEventById(this.data, this.avatarId);
+        const room = roomFromEvent(this.data, avatar);
+        if (!room) return;
+        const [ax, ay] = avatar.position;
+
+        const [previousNear, previousStepped] = [this.nearEventIds, this.steppedEventIds];
+        this.nearEventIds = new Set();
+        this.steppedEventIds = new Set();
+
+        // work out everything that changed before running any scripts, which
+        // may move things again
+        /** @type {[BipsiDataEvent, string, string][]} */
+        const triggered = [];
+
+        for (const event of this.visibleEvents(room.events)) {
+            if (event === avatar) continue;
+
+            const [ex, ey] = event.position;
+            const distance = Math.max(Math.abs(ex - ax), Math.abs(ey - ay));
+
+            const onStep = FIELD(event, "on-step", "javascript");
+            if (onStep && distance === 0) {
+                this.steppedEventIds.add(event.id);
+                if (!previousStepped.has(event.id)) triggered.push([event, onStep, "STEPPED ON"]);
+            }
+
+            const onEnter = FIELD(event, "on-enter-radius", "javascript");
+            const onLeave = FIELD(event, "on-leave-radius", "javascript");
+            if ((onEnter || onLeave) && distance <= (FIELD(event, "trigger-radius", "json") ?? 1)) {
+                this.nearEventIds.add(event.id);
+                if (onEnter && !previousNear.has(event.id)) triggered.push([event, onEnter, "ENTERED RADIUS OF"]);
+            }
+        }
+
+        // leaving includes leaving the room or the event disappearing
+        previousNear.forEach((id) => {
+            const event = getEventById(this.data, id);
+            const onLeave = event && FIELD(event, "on-leave-radius", "javascript");
+            if (onLeave && !this.nearEventIds.has(id)) triggered.push([event, onLeave, "LEFT RADIUS OF"]);
+        });
+
+        for (const [event, js, what] of triggered) {
+            this.log(`> ${what} EVENT ${this.eventDebugInfo(event)}`);
+            await this.runJS(event, js);
+        }
+    }
+
+    /**
+     * Divert the story to a knot and continue it for an event. Returns false
+     * if the story has no such knot.
+     * @param {string} knot
+     * @param {BipsiDataEvent} event
+     */
+    async divertTo(knot, event) {
+        try {
+            this.story.ChoosePathString(knot);
+        } catch (e) {
+            this.log(`> NO INK KNOT "${knot}" ${this.eventDebugInfo(event)}: ${e}`);
+            this.showError(`NO INK KNOT "${knot}"`);
+            return false;
+        }
+
+        await this.continueStory(event);
+        return true;
+    }
+
+    /**
+     * If the avatar is in a different room than last checked, divert the
+     * story to the room's entry knot, from the first event in the room with a
+     * "room-ink-knot" field.
+     */
+    async checkRoomEntry() {
+        const avatar = getEventById(this.data, this.avatarId);
+        const room = roomFromEvent(this.data, avatar);
+        if (!room || room.id === this.avatarRoomId) return;
+
+        const previous = findRoomById(this.data, this.avatarRoomId);
+        this.avatarRoomId = room.id;
+        this.playRoomMusic(room);
+
+        // every event of the rooms can have a say in leaving and entering
+        const runRoomScripts = async (room, name) => {
+            for (const event of room?.events ?? []) {
+                const js = FIELD(event, name, "javascript");
+                if (js) await this.runJS(event, js);
+            }
+        }
+        await runRoomScripts(previous, "on-leave-room");
+        await runRoomScripts(room, "on-enter-room");
+
+        const event = room.events.find((event) => FIELD(event, "room-ink-knot", "text"));
+        if (event) {
+            this.log(`> ENTERING ROOM ${room.id}`);
+            await this.divertTo(FIELD(event, "room-ink-knot", "text"), event);
+        }
+    }
+
+    /**
+     * Show a menu of options at the bottom of the screen and resolve with the
+     * index of the option the player picks. The cursor moves with up/down,
+     * pages with left/right and the pick is confirmed with Enter, space or a
+     * tap. Options that don't fit the lines of the panel are paged, and
+     * options too long for one line are cut short with an ellipsis.
+     * Options can be given as plain text or as objects with a `color`, or
+     * marked `visited` to be dimmed or `disabled` so they can't be picked.
+     * @param {(string|ChoiceMenuItem)[]} items
+     * @param {Partial<DialogueOptions>} sayStyle style the menu takes after
+     * @param {Partial<DialogueOptions>} choiceStyle style overriding the layout
+     * @param {number} timeout seconds after which the default option is picked
+     * @param {number} defaultIndex
+     * @returns {Promise<number>}
+     */
+    async choose(items, sayStyle={}, choiceStyle={}, timeout=undefined, defaultIndex=0) {
+        items = items.map((item) => typeof item === "string" ? { text: item } : item);
+
+        const options = {
+            ...sayStyle,
+            ...{"noMargin": true,
+                "anchorX": 0, "anchorY": 1, lineWidth: 40*6,
+                "lines": Math.min(items.length, CHOICE_MENU_LINES),
+                },
+            ...choiceStyle, 
+            timeout,
+        };
+        const lines = Math.max(1, Math.min(items.length, options.lines));
+        options.lines = lines;
+
+        const { font } = this.dialoguePlayback.getOptions(options);
+        const visitedColor = options.visitedColor ?? CHOICE_MENU_VISITED_COLOR;
+        const disabledColor = options.disabledColor ?? CHOICE_MENU_DISABLED_COLOR;
+
+        // never leave the player stuck on a menu of disabled options
+        const canPick = (index) => !items[index].disabled || items.every((item) => item.disabled);
+
+        let cursor = Math.max(0, items.findIndex((item, index) => canPick(index)));
+
+        const getMenuScript = () => {
+            const first = Math.floor(cursor / lines) * lines;
+            const last = Math.min(first + lines, items.length) - 1;
+
+            const rows = items.slice(first, last + 1).map((item, i) => {
+                const index = first + i;
+                let marker = " ";
+                if (index === cursor) marker = CHOICE_MENU_CURSOR;
+                else if (index === first && first > 0) marker = CHOICE_MENU_MORE_ABOVE;
+                else if (index === last && last < items.length - 1) marker = CHOICE_MENU_MORE_BELOW;
+
+                const color = item.disabled ? disabledColor 
+                            : item.color ?? (item.visited ? visitedColor : undefined);
+                const text = color ? `{clr=${color}}${item.text}{-clr}` : item.text;
+                // a row that wrapped would push the menu onto another page
+                const row = parseFakedown(replaceVariables(`${marker} ${text}`, this.variables));
+                return truncateScript(row, font, options.lineWidth || 192);
+            });
+            return rows.join("\n");
+        }
+
+        this.choiceExpected = true;
+
+        //always display choices at the bottom
+        this.log(`> CHOOSING FROM "${items.map((item) => item.text).join(" / ")}"`);
+        this.dialoguePlayback.queue(getMenuScript(), options);
+        // the menu page was queued synchronously and is the last one
+        const page = this.dialoguePlayback.queuedPages[this.dialoguePlayback.queuedPages.length - 1]
+                  ?? this.dialoguePlayback.currentPage;
+
+        const moveCursor = (next) => {
+            cursor = Math.max(0, Math.min(items.length - 1, next));
+            this.dialoguePlayback.rewritePage(page, getMenuScript());
+        }
+
+        return new Promise((resolve) => {
+            const pick = (index) => {
+                this.removeEventListener("choice", listener);
+                this.dialoguePlayback.removeEventListener("timeout", onTimeout);
+                this.choiceExpected = false;
+                this.addToTranscript(`${CHOICE_MENU_CURSOR} ${scriptToPlainText(items[index].text)}`);
+                // make sure the menu goes away even if it was still appearing
+                this.dialoguePlayback.revealAll();
+                this.proceed();
+                resolve(index);
+            }
+
+            const listener = (event) => {
+                // dialogue before the menu is still showing
+                if (this.dialoguePlayback.currentPage !== page) {
+                    this.proceed();
+                    return;
+                }
+
+                switch (event.detail) {
+                    case "ArrowUp": moveCursor(cursor - 1); break;
+                    case "ArrowDown": moveCursor(cursor + 1); break;
+                    case "ArrowLeft": moveCursor(cursor - lines); break;
+                    case "ArrowRight": moveCursor(cursor + lines); break;
+                    case "Enter":
+                    case " ": if (canPick(cursor)) pick(cursor); break;
+                }
+            }
+
+            const onTimeout = (event) => {
+                if (event.detail !== page) return;
+                // a disabled default falls back to the first choice that can be picked
+                const index = items[defaultIndex] && canPick(defaultIndex)
+                            ? defaultIndex
+                            : items.findIndex((item, index) => canPick(index));
+                pick(index);
+            }
+
+            this.addEventListener("choice", listener);
+            this.dialoguePlayback.addEventListener("timeout", onTimeout);
+        });
+    }
+
+    update(dt) {
+        if (!this.ready || this.optionsOpen) return;
 
         // tile animation
         this.time += dt;
@@ -823,8 +2038,16 @@ class BipsiPlayback extends EventTarget {
             this.time -= this.frameDelay;
         }
 
-        // dialogue animation
-        this.dialoguePlayback.update(dt);
+        this.updateMusicFades(dt);
+        this.updatePaletteFades(dt);
+        this.updateMovers(dt);
+        this.updateTweens(dt);
+        this.updateCamera();
+        this.updateScreenEffects(dt);
+
+        // dialogue animation, and choice countdowns, wait while the
+        // transcript covers the game (the options overlay stops everything)
+        if (!this.transcriptOpen) this.dialoguePlayback.update(dt);
         
         // rerender
         this.render();
@@ -848,8 +2071,426 @@ class BipsiPlayback extends EventTarget {
             };
         }
 
-        scene.push({ layer: 1, func: upscaler(() => drawTilemapLayer(TEMP_ROOM, tileset, tileToFrame, palette, room)) });
-        scene.push({ layer: 2, func: upscaler(() => drawEventLayer(TEMP_ROOM, tileset, tileToFrame, palette, room.events)) });
+        scene.push({ layer: 1, func: upscaler(() => drawTilemapLayer(TEMP_ROOM, tileset, tileToFrame, palette, room, this.camera)) });
+        scene.push({ layer: 2, func: upscaler(() => drawEventLayer(TEMP_ROOM, tileset, tileToFrame, palette, this.visibleEvents(room.events), this.getTweenOffsets(), this.camera)) });
+    }
+
+    addDarknessToScene(scene, dest, frame) {
+        const avatar = getEventById(this.data, this.avatarId);
+        const room = roomFromEvent(this.data, avatar);
+        if (!(room?.darkness > 0)) return;
+
+        // over the room and foreground images but under overlay images and
+        // dialogue
+        scene.push({ layer: 2.75, func: () => this.drawDarkness(dest, room) });
+    }
+
+    /**
+     * The lights in a room: events with a "light-radius", and the avatar
+     * unless its "light-radius" is 0.
+     * @param {BipsiDataRoom} room 
+     */
+    getLights(room) {
+        const offsets = this.getTweenOffsets();
+
+        return this.visibleEvents(room.events).map((event) => {
+            const fallback = event.id === this.avatarId ? AVATAR_LIGHT_RADIUS : 0;
+            const radius = FIELD(event, "light-radius", "json") ?? fallback;
+            if (!(radius > 0)) return undefined;
+
+            // lights move with sliding events a cell at a time
+            const [ox, oy] = offsets.get(event.id) ?? [0, 0];
+            const position = [Math.round(event.position[0] + ox), Math.round(event.position[1] + oy)];
+
+            const css = FIELD(event, "light-color", "text");
+            const color = css ? parseLightColor(css) : undefined;
+
+            return { position, radius, color };
+        }).filter(Boolean);
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} dest 
+     * @param {BipsiDataRoom} room 
+     */
+    drawDarkness(dest, room) {
+        // the cells on screen, rounded the same way as the tiles
+        const [cx, cy] = this.camera.map((c) => Math.round(c * TILE_PX) / TILE_PX);
+        const [x0, y0] = [Math.floor(cx), Math.floor(cy)];
+        const size = LIGHT_PAGE.canvas.width;
+        const cells = lightRoomArea(room, this.getLights(room), [x0, y0, size, size]);
+
+        withPixels(LIGHT_PAGE, (pixels) => cells.forEach(({ level, color }, i) => {
+            // darkness over a tint of the light's color, as one color
+            const dark = room.darkness * (1 - level);
+            const tint = color ? LIGHT_TINT * color.a * level : 0;
+            const alpha = dark + tint - dark * tint;
+            const mix = (channel) => Math.round((1 - dark) * tint * channel / alpha);
+
+            pixels[i] = alpha > 0 && color
+                      ? RGBToUint32({ r: mix(color.r), g: mix(color.g), b: mix(color.b) }) & 0xFFFFFF | Math.round(alpha * 255) << 24
+                      : Math.round(alpha * 255) << 24;
+        }));
+
+        const cell = dest.canvas.width / ROOM_SIZE;
+        dest.drawImage(LIGHT_PAGE.canvas, (x0 - cx) * cell, (y0 - cy) * cell, size * cell, size * cell);
+    }
+
+    /**
+     * Change the screen from how it looks now to how the following renders
+     * look. "fade" goes through a color, "slide" pushes the old screen out
+     * in a direction, "wipe" uncovers the new screen from an edge, "iris"
+     * closes a circle of color on the avatar and opens it again, "dissolve"
+     * swaps the screens a few pixels at a time, and "flash" fades from a
+     * color to the new screen. Any other type, like "cut", changes at once.
+     * @param {string} type 
+     * @param {number} duration seconds
+     * @param {{ color?: string, direction?: number[] }} options color to fade
+     * or close the iris through, and the way slides and wipes move
+     * @returns {Promise} resolves when the transition finishes
+     */
+    startTransition(type, duration, { color = "black", direction = [-1, 0] } = {}) {
+        this.transition?.resolve();
+        this.transition = undefined;
+
+        if (!SCREEN_TRANSITIONS.includes(type) || !(duration > 0)) {
+            return Promise.resolve();
+        }
+
+        const from = snapshotRendering2D(this.rendering, SCREEN_FROM_PAGE);
+        const center = this.getAvatarScreenCenter();
+        const noise = type === "dissolve" ? new Float32Array(SCREEN_DISSOLVE_BLOCKS ** 2).map(Math.random) : undefined;
+
+        return new Promise((resolve) => {
+            this.transition = { type, from, color, direction, center, noise, duration, time: 0, resolve };
+        });
+    }
+
+    /**
+     * Shake the screen, less and less until it stops.
+     * @param {number} strength pixels to shake by at first
+     * @param {number} duration seconds
+     * @returns {Promise} resolves when the shaking stops
+     */
+    startShaking(strength, duration) {
+        this.shaking?.resolve();
+        this.shaking = undefined;
+
+        // the player asked for the screen to keep still
+        if (this.settings.reducedMotion || !(duration > 0)) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            this.shaking = { strength, duration, time: 0, resolve };
+        });
+    }
+
+    updateScreenEffects(dt) {
+        ["transition", "shaking"].forEach((key) => {
+            const effect = this[key];
+            if (!effect) return;
+
+            effect.time += dt;
+            if (effect.time >= effect.duration) {
+                effect.resolve();
+                this[key] = undefined;
+            }
+        });
+    }
+
+    /**
+     * @returns {number[]} pixel of the rendering at the middle of the avatar
+     */
+    getAvatarScreenCenter() {
+        const { width, height } = this.rendering.canvas;
+        const avatar = getEventById(this.data, this.avatarId);
+        if (!avatar) return [width / 2, height / 2];
+
+        const [ox, oy] = this.getTweenOffsets().get(avatar.id) ?? [0, 0];
+        const [x, y] = [avatar.position[0] + ox - this.camera[0], avatar.position[1] + oy - this.camera[1]];
+        return [(x + .5) * width / ROOM_SIZE, (y + .5) * height / ROOM_SIZE];
+    }
+
+    drawTransition() {
+        const { type, from, color, direction: [dx, dy], center, noise, duration, time } = this.transition;
+        const u = Math.min(1, time / duration);
+        const { width, height } = this.rendering.canvas;
+        const next = snapshotRendering2D(this.rendering, SCREEN_COPY_PAGE);
+
+        if (type === "slide") {
+            const [ox, oy] = [Math.round(dx * u * width), Math.round(dy * u * height)];
+
+            fillRendering2D(this.rendering);
+            this.rendering.drawImage(from.canvas, ox, oy);
+            this.rendering.drawImage(next.canvas, ox - dx * width, oy - dy * height);
+        } else if (type === "fade") {
+            // the old screen fades out for the first half, the new one in
+            // for the second
+            if (u < .5) this.rendering.drawImage(from.canvas, 0, 0);
+            this.rendering.globalAlpha = 1 - Math.abs(u * 2 - 1);
+            this.rendering.fillStyle = color;
+            this.rendering.fillRect(0, 0, width, height);
+            this.rendering.globalAlpha = 1;
+        } else if (type === "flash") {
+            this.rendering.globalAlpha = 1 - u;
+            this.rendering.fillStyle = color;
+            this.rendering.fillRect(0, 0, width, height);
+            this.rendering.globalAlpha = 1;
+        } else if (type === "wipe") {
+            // the new screen covers the old one from the edge it moves away
+            // from
+            const [w, h] = [dx ? Math.round(u * width) : width, dy ? Math.round(u * height) : height];
+            const [x, y] = [dx < 0 ? width - w : 0, dy < 0 ? height - h : 0];
+
+            fillRendering2D(this.rendering);
+            this.rendering.drawImage(from.canvas, 0, 0);
+            if (w > 0 && h > 0) this.rendering.drawImage(next.canvas, x, y, w, h, x, y, w, h);
+        } else if (type === "iris") {
+            // the circle closes on where the avatar was for the first half
+            // and opens on where it is for the second
+            const [screen, [cx, cy]] = u < .5 ? [from, center] : [next, this.getAvatarScreenCenter()];
+            const radius = Math.abs(u * 2 - 1) * Math.hypot(width, height);
+
+            fillRendering2D(this.rendering);
+            this.rendering.fillStyle = color;
+            this.rendering.fillRect(0, 0, width, height);
+            this.rendering.save();
+            this.rendering.beginPath();
+            this.rendering.arc(cx, cy, radius, 0, Math.PI * 2);
+            this.rendering.clip();
+            this.rendering.drawImage(screen.canvas, 0, 0);
+            this.rendering.restore();
+        } else if (type === "dissolve") {
+            // keep only the blocks of the new screen whose turn has come,
+            // then put the old screen behind them
+            withPixels(DISSOLVE_MASK_PAGE, (pixels) => {
+                for (let i = 0; i < pixels.length; ++i) {
+                    pixels[i] = noise[i] < u ? 0xFFFFFFFF : 0;
+                }
+            });
+
+            next.globalCompositeOperation = "destination-in";
+            next.drawImage(DISSOLVE_MASK_PAGE.canvas, 0, 0, width, height);
+            next.globalCompositeOperation = "source-over";
+
+            fillRendering2D(this.rendering);
+            this.rendering.drawImage(from.canvas, 0, 0);
+            this.rendering.drawImage(next.canvas, 0, 0);
+        }
+    }
+
+    drawShaking() {
+        const { strength, duration, time } = this.shaking;
+        const u = Math.min(1, time / duration);
+        const { width } = this.rendering.canvas;
+
+        // strength is in pixels of the game, not of the upscaled rendering
+        const scale = width / ROOM_PX;
+        const offset = () => Math.round((Math.random() * 2 - 1) * strength * (1 - u)) * scale;
+
+        const screen = snapshotRendering2D(this.rendering, SCREEN_COPY_PAGE);
+        fillRendering2D(this.rendering);
+        this.rendering.drawImage(screen.canvas, offset(), offset());
+    }
+
+    /**
+     * Scroll rooms bigger than the screen to keep the avatar in view. The
+     * avatar can stray up to the player's "camera-deadzone" cells from the
+     * middle of the screen before the camera follows, and the camera jumps
+     * straight to the avatar when it changes room.
+     */
+    updateCamera() {
+        const avatar = getEventById(this.data, this.avatarId);
+        const room = roomFromEvent(this.data, avatar);
+        if (!room) return;
+
+        const [width, height] = getRoomSize(room);
+        const [ox, oy] = this.getTweenOffsets().get(avatar.id) ?? [0, 0];
+        const deadzone = FIELD(avatar, "camera-deadzone", "json") ?? 0;
+
+        const snap = room.id !== this.cameraRoomId;
+        this.cameraRoomId = room.id;
+
+        const follow = (camera, position, size) => {
+            const offset = position - (camera + ROOM_SIZE / 2);
+            if (snap) camera += offset;
+            else if (offset > deadzone) camera += offset - deadzone;
+            else if (offset < -deadzone) camera += offset + deadzone;
+            return Math.max(0, Math.min(size - ROOM_SIZE, camera));
+        }
+
+        this.camera = [
+            follow(this.camera[0], avatar.position[0] + ox, width),
+            follow(this.camera[1], avatar.position[1] + oy, height),
+        ];
+    }
+
+    /**
+     * Put an event at a location, sliding it there if it stays in the same
+     * room. Triggers aren't checked, that's up to the caller.
+     * @param {BipsiDataEvent} event 
+     * @param {BipsiDataLocation} location 
+     * @param {number?} speed cells per second, or nothing to not slide
+     * @returns {Promise} resolves when the graphic arrives
+     */
+    placeEvent(event, location, speed) {
+        const [from, room] = [event.position, roomFromEvent(this.data, event)];
+        moveEvent(this.data, event, location); 
+
+        // events new to the game, like copies, may need hiding right away
+        if (this.observeEventInkVariables(event)) {
+            this.updateEventVisibility();
+        }
+
+        // only slide within a room
+        const sameRoom = room?.id === location.room;
+        return this.tweenEvent(event, from, sameRoom ? speed : 0);
+    }
+
+    /**
+     * Slide the graphic of an event that just moved from its previous
+     * position to its new one. Its position changes immediately for
+     * everything else.
+     * @param {BipsiDataEvent} event 
+     * @param {number[]} from the previous position
+     * @param {number?} speed cells per second, or nothing to not slide
+     * @returns {Promise} resolves when the graphic arrives
+     */
+    tweenEvent(event, from, speed) {
+        // carry on from wherever an unfinished slide got to
+        const previous = this.tweens.get(event.id);
+        if (previous) {
+            from = this.getTweenPosition(previous);
+            this.tweens.delete(event.id);
+            previous.resolve();
+        }
+
+        const to = [...event.position];
+        const distance = Math.hypot(to[0] - from[0], to[1] - from[1]);
+        if (!speed || speed <= 0 || distance === 0) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.tweens.set(event.id, { event, from, to, duration: distance / speed, time: 0, resolve });
+        });
+    }
+
+    /**
+     * Step the events of the current room that "patrol" a sequence of moves,
+     * "wander" around where they started or "follow" another event, each
+     * once per "move-delay". Nobody moves while dialogue is showing.
+     * @param {number} dt 
+     */
+    updateMovers(dt) {
+        if (this.ended || !this.dialoguePlayback.empty) return;
+
+        const avatar = getEventById(this.data, this.avatarId);
+        const room = roomFromEvent(this.data, avatar);
+        if (!room) return;
+
+        this.visibleEvents(room.events).forEach((event) => {
+            const patrol = FIELD(event, "patrol", "text");
+            const wander = FIELD(event, "wander", "json");
+            const follow = FIELD(event, "follow", "text");
+            if (!patrol && !wander && !follow) return;
+
+            const mover = this.movers.get(event.id) ?? { time: 0, step: 0, home: [...event.position] };
+            this.movers.set(event.id, mover);
+
+            mover.time += dt;
+            if (mover.time < (FIELD(event, "move-delay", "json") ?? NPC_MOVE_DELAY)) return;
+            mover.time = 0;
+
+            const [x, y] = event.position;
+
+            if (patrol) {
+                // same sequences as WALK, repeated forever. a blocked step is
+                // tried again next time
+                const dir = patrol[mover.step % patrol.length];
+                const [dx, dy] = WALK_DIRECTIONS[dir] ?? [0, 0];
+                if (dir === "." || !WALK_DIRECTIONS[dir] || this.stepEvent(room, event, dx, dy)) {
+                    mover.step += 1;
+                }
+            } else if (wander) {
+                // sometimes stay put, never stray further than the radius
+                const [hx, hy] = mover.home;
+                const steps = [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]].filter(([dx, dy]) => {
+                    return Math.abs(x + dx - hx) <= wander && Math.abs(y + dy - hy) <= wander;
+                });
+                const [dx, dy] = steps[Math.floor(Math.random() * steps.length)];
+                if (dx || dy) this.stepEvent(room, event, dx, dy);
+            } else if (follow) {
+                // head for the followed event until beside it
+                const target = findEventByTag(this.data, follow);
+                if (!target || target === event || roomFromEvent(this.data, target) !== room) return;
+
+                const path = findPath(room, event.position, target.position, this.visibleEvents(room.events));
+                if (path && path.length > 1) {
+                    const [nx, ny] = path[0];
+                    this.stepEvent(room, event, nx - x, ny - y);
+                }
+            }
+        });
+    }
+
+    /**
+     * Step an event that moves by itself to a neighbouring cell, unless it is
+     * solid or taken by the avatar.
+     * @param {BipsiDataRoom} room 
+     * @param {BipsiDataEvent} event 
+     * @param {number} dx 
+     * @param {number} dy 
+     * @returns {boolean} whether the event moved
+     */
+    stepEvent(room, event, dx, dy) {
+        const [x, y] = event.position;
+        const [tx, ty] = [x + dx, y + dy];
+        const [ax, ay] = getEventById(this.data, this.avatarId).position;
+
+        const bounded = !isInRoom(room, tx, ty);
+        if (bounded || (tx === ax && ty === ay)) return false;
+        if (cellIsSolid(room, tx, ty, this.visibleEvents(room.events))) return false;
+
+        event.position = [tx, ty];
+        // movers step from the update loop, which can't wait on scripts, so
+        // the triggers are checked once the step has been seen
+        this.tweenEvent(event, [x, y], FIELD(event, "move-speed", "json"))
+            .then(() => this.checkTriggers());
+        return true;
+    }
+
+    /**
+     * @param {number} dt 
+     */
+    updateTweens(dt) {
+        this.tweens.forEach((tween, id) => {
+            tween.time += dt;
+            if (tween.time >= tween.duration) {
+                this.tweens.delete(id);
+                tween.resolve();
+            }
+        });
+    }
+
+    getTweenPosition({ from, to, duration, time }) {
+        const u = Math.min(1, time / duration);
+        return [from[0] + (to[0] - from[0]) * u, from[1] + (to[1] - from[1]) * u];
+    }
+
+    /**
+     * @returns {Map<string, number[]>} offsets from their position to draw sliding events at
+     */
+    getTweenOffsets() {
+        const offsets = new Map();
+        this.tweens.forEach((tween, id) => {
+            // ignore slides to where the event no longer is
+            const [x, y] = tween.event.position;
+            if (x !== tween.to[0] || y !== tween.to[1]) return;
+
+            const [rx, ry] = this.getTweenPosition(tween);
+            offsets.set(id, [rx - x, ry - y]);
+        });
+        return offsets;
     }
 
     /**
@@ -879,7 +2520,7 @@ class BipsiPlayback extends EventTarget {
 
             // change default dialogue position based on avatar position
         const avatar = getEventById(this.data, this.avatarId);
-            const top = avatar.position[1] >= 8;
+            const top = avatar.position[1] - this.camera[1] >= ROOM_SIZE / 2;
             this.dialoguePlayback.options.anchorY = top ? 0 : 1;
 
             // redraw dialogue and copy to display area
@@ -890,6 +2531,7 @@ class BipsiPlayback extends EventTarget {
     addLayersToScene(scene, dest, frame) {
         if (!this.ended) {
             this.addRoomToScene(scene, dest, frame);
+            this.addDarknessToScene(scene, dest, frame);
             this.addDialogueToScene(scene, dest, frame);
             this.addImagesToScene(scene, dest, frame);
         }
@@ -910,6 +2552,9 @@ class BipsiPlayback extends EventTarget {
             fillRendering2D(this.rendering);
         scene.forEach(({ func }) => func());
 
+        if (this.transition) this.drawTransition();
+        if (this.shaking) this.drawShaking();
+
         // signal, to anyone listening, that rendering happened
         this.dispatchEvent(new CustomEvent("render"));
     }
@@ -946,7 +2591,9 @@ class BipsiPlayback extends EventTarget {
         return this.ready
             && this.dialoguePlayback.empty
             && !this.busy
-            && !this.ended;
+            && !this.ended
+            && !this.transcriptOpen
+            && !this.optionsOpen;
     }
 
     async proceed() {
@@ -963,14 +2610,234 @@ class BipsiPlayback extends EventTarget {
             this.music.play();
             this.autoplay = false;
         }
+
+        // browsers only let audio start after the player did something
+        if (this.audioContext?.state === "suspended") {
+            this.audioContext.resume();
+        }
     }
 
-    async say(script, options={}) {
+    async say(script, options={}, speaker=undefined) {
         this.log(`> SAYING "${script}"`);
         script = replaceVariables(script, this.variables);
+        this.addToTranscript(scriptToPlainText(script), speaker);
+
+        const voiceFile = this.getVoiceFile(options, speaker);
+        if (voiceFile) {
+            options = { ...options, voiceFile };
+            this.getAudioBuffer(voiceFile);
+        }
+
         await this.dialoguePlayback.queue(script, options);
     }
 
+    /**
+     * The sound file voicing a dialogue: the library file named by the
+     * "voice" of its style, or else the "voice" file of the speaking event.
+     * @param {Partial<DialogueOptions>} options 
+     * @param {string} speaker tag of the speaking event
+     * @returns {string} file id
+     */
+    getVoiceFile(options, speaker=undefined) {
+        if (options.voice) {
+            const library = getEventById(this.data, this.libraryId);
+            return library && FIELD(library, options.voice, "file");
+        }
+
+        const event = speaker && findEventByTag(this.data, speaker);
+        return event && FIELD(event, "voice", "file");
+    }
+
+    /**
+     * @returns {AudioContext}
+     */
+    getAudioContext() {
+        this.audioContext = this.audioContext ?? new AudioContext();
+        return this.audioContext;
+    }
+
+    /**
+     * Decode a sound file for web audio, once.
+     * @param {string} id 
+     * @returns {Promise<AudioBuffer>}
+     */
+    getAudioBuffer(id) {
+        if (!this.audioBuffers.has(id)) {
+            const file = this.stateManager.resources.get(id);
+            const buffer = Promise.resolve(file)
+                .then((file) => file.arrayBuffer())
+                .then((data) => this.getAudioContext().decodeAudioData(data))
+                .catch((e) => this.log(`> CAN'T DECODE SOUND FILE ${id}: ${e}`));
+            this.audioBuffers.set(id, buffer);
+        }
+        return this.audioBuffers.get(id);
+    }
+
+    /**
+     * Play the voice of a dialogue page for the glyph just revealed, skipping
+     * spaces and all but every "voiceEvery" glyphs.
+     * @param {DialoguePage} page 
+     * @param {number} index 
+     */
+    async playVoiceBlip(page, index) {
+        const { voiceFile, voicePitch, voiceEvery, voiceVolume } = { ...VOICE_DEFAULTS, ...page.options };
+        const char = page.glyphs[index]?.char ?? " ";
+        if (!voiceFile || char.trim() === "" || index % Math.max(1, voiceEvery) !== 0) return;
+
+        await this.playSound(voiceFile, { 
+            volume: voiceVolume, 
+            pitch: getRandomFloat(-voicePitch, voicePitch),
+        });
+    }
+
+    /**
+     * Play a sound file once, over any other sounds playing. Resolves when
+     * the sound ends or is stopped.
+     * @param {string} id file id
+     * @param {{ volume?: number, pitch?: number }} options volume from 0 to
+     * 1 and pitch change in semitones
+     */
+    async playSound(id, { volume=1, pitch=0 }={}) {
+        const buffer = await this.getAudioBuffer(id);
+        if (!buffer) return;
+
+        // browsers keep audio suspended until the player did something, and
+        // a suspended sound would never end, so give up on it instead
+        const context = this.getAudioContext();
+        if (context.state === "suspended") {
+            await Promise.race([context.resume(), sleep(100)]).catch(() => {});
+        }
+        if (context.state !== "running") return;
+
+        const source = context.createBufferSource();
+        const gain = context.createGain();
+        source.buffer = buffer;
+        source.playbackRate.value = Math.pow(2, pitch / 12);
+        gain.gain.value = volume * this.settings.soundVolume;
+        source.connect(gain).connect(context.destination);
+
+        // stop waiting once the sound should be over, even if "ended" never
+        // comes because the audio was suspended again
+        const duration = buffer.duration / source.playbackRate.value;
+        this.sounds.add(source);
+        const ended = new Promise((resolve) => {
+            source.addEventListener("ended", resolve, { once: true });
+            setTimeout(resolve, duration * 1000 + 100);
+        });
+        source.start();
+        await ended;
+
+        this.sounds.delete(source);
+        source.disconnect();
+        gain.disconnect();
+    }
+
+    stopSounds() {
+        this.sounds.forEach((source) => source.stop());
+    }
+
+    /**
+     * @param {string} text 
+     * @param {string} speaker 
+     */
+    addToTranscript(text, speaker=undefined) {
+        this.transcript.push({ speaker, text });
+        if (this.transcript.length > TRANSCRIPT_LENGTH) this.transcript.shift();
+    }
+
+    getTranscriptText() {
+        return this.transcript
+            .map(({ speaker, text }) => speaker ? `${speaker}: ${text}` : text)
+            .join("\n\n");
+    }
+
+    /**
+     * Show or hide the overlay listing everything said so far.
+     * @param {boolean} open 
+     */
+    toggleTranscript(open=!this.transcriptOpen) {
+        const overlay = ONE("#transcript");
+        if (!overlay) return;
+
+        this.transcriptOpen = open;
+        overlay.hidden = !open;
+
+        if (open) {
+            const lines = ONE("#transcript-lines");
+            lines.textContent = this.getTranscriptText();
+            lines.scrollTop = lines.scrollHeight;
+        }
+    }
+
+    /**
+     * @param {number} pages how many heights of the overlay to scroll by,
+     * negative to scroll up
+     */
+    scrollTranscript(pages) {
+        const lines = ONE("#transcript-lines");
+        lines.scrollTop += Math.round(lines.clientHeight * pages);
+    }
+
+    exportTranscript() {
+        maker.saveAs(maker.textToBlob(this.getTranscriptText()), "transcript.txt");
+    }
+
+    getSettingsKey() {
+        return `binksi-settings${window.location.pathname}`;
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.getSettingsKey()));
+            this.settings = { ...DEFAULT_PLAYER_SETTINGS, ...saved };
+        } catch (e) {
+            this.log(`> CAN'T LOAD SETTINGS: ${e}`);
+        }
+        this.applySettings();
+    }
+
+    /**
+     * Change some of the player settings, apply and remember them.
+     * @param {Partial<typeof DEFAULT_PLAYER_SETTINGS>} changes 
+     */
+    changeSettings(changes) {
+        Object.assign(this.settings, changes);
+        this.applySettings();
+
+        try {
+            localStorage.setItem(this.getSettingsKey(), JSON.stringify(this.settings));
+        } catch (e) {
+            this.log(`> CAN'T SAVE SETTINGS: ${e}`);
+        }
+    }
+
+    applySettings() {
+        this.dialoguePlayback.textSpeed = this.settings.textSpeed;
+        this.dialoguePlayback.reducedMotion = this.settings.reducedMotion;
+        this.setMusicVolume(this.musicVolume);
+    }
+
+    /**
+     * Show or hide the pause/options overlay. The game is paused while it is
+     * open.
+     * @param {boolean} open 
+     */
+    toggleOptions(open=!this.optionsOpen) {
+        const overlay = ONE("#options");
+        if (!overlay) return;
+
+        this.optionsOpen = open;
+        overlay.hidden = !open;
+
+        if (open) {
+            ONE("[name=options-music-volume]").value = this.settings.musicVolume;
+            ONE("[name=options-sound-volume]").value = this.settings.soundVolume;
+            ONE("[name=options-text-speed]").value = this.settings.textSpeed;
+            ONE("[name=options-reduced-motion]").checked = this.settings.reducedMotion;
+            ONE("#options-resume").focus();
+        }
+    }
+
     async move(dx, dy) {
         if (this.ended) this.proceed();
         if (!this.canMove) return;
@@ -984,19 +2851,32 @@ class BipsiPlayback extends EventTarget {
         const [px, py] = avatar.position;
         const [tx, ty] = [px+dx, py+dy];
 
-        // is the movement stopped by the room edge or solid cells?
-        const bounded = tx < 0 || tx >= ROOM_SIZE || ty < 0 || ty >= ROOM_SIZE;
-        const blocked = bounded ? false : cellIsSolid(room, tx, ty);
-
-        // if not, then update avatar position
-        if (!blocked && !bounded) avatar.position = [tx, ty];
+        // is the movement stopped by the room edge or solid cells? walking
+        // off an edge leads into the neighbouring room that way, if any
+        const bounded = !isInRoom(room, tx, ty);
+        const blocked = bounded ? false : cellIsSolid(room, tx, ty, this.visibleEvents(room.events));
+        const neighbour = bounded ? getNeighbourCell(this.data, room, tx, ty) : null;
+
+        // if not, then update avatar position, and wait for it to slide
+        // there if it has a "move-speed"
+        if (!blocked && !bounded) {
+            avatar.position = [tx, ty];
+            await this.tweenEvent(avatar, [px, py], FIELD(avatar, "move-speed", "json"));
+        } else if (neighbour && !cellIsSolid(neighbour.room, ...neighbour.position, this.visibleEvents(neighbour.room.events))) {
+            this.log(`> WALKING ${neighbour.edge.toUpperCase()} TO ROOM ${neighbour.room.id}`);
+            const transition = room.edgeTransition 
+                             && this.startTransition(room.edgeTransition, ROOM_EDGE_TRANSITION_TIME, { direction: [-dx, -dy] });
+            moveEvent(this.data, avatar, { room: neighbour.room.id, position: neighbour.position });
+            await transition;
+        }
 
         // find if there are events that should be touched. prefer events at
         // the cell the avatar tried to move into but settle for events at
         // the cell they're already standing on otherwise
         const [fx, fy] = avatar.position;
-        const events0 = getEventsAt(room.events, tx, ty, avatar);
-        const events1 = getEventsAt(room.events, fx, fy, avatar);
+        const here = roomFromEvent(this.data, avatar);
+        const events0 = getEventsAt(this.visibleEvents(room.events), tx, ty, avatar);
+        const events1 = getEventsAt(this.visibleEvents(here.events), fx, fy, avatar);
         const events = events0.length ? events0 : events1;
 
         // if there were such events, touch them
@@ -1004,10 +2884,55 @@ class BipsiPlayback extends EventTarget {
             await this.touch(event);
         }
 
+        // the avatar may have been moved to another room by touching
+        await this.checkRoomEntry();
+        await this.checkApproachedEvents();
+        await this.checkTriggers();
+
         this.busy = false;
     }
 
 
+    /**
+     * Walk the avatar one step at a time along a path to a cell of the
+     * current room, stopping early if anything interrupts the walk: dialogue,
+     * touching an event, or another move.
+     * @param {number} x 
+     * @param {number} y 
+     */
+    async walkTo(x, y) {
+        if (!this.canMove) return;
+
+        const avatar = getEventById(this.data, this.avatarId);
+        const room = roomFromEvent(this.data, avatar);
+        const path = findPath(room, avatar.position, [x, y], this.visibleEvents(room.events));
+
+        if (!path?.length) return;
+        this.log(`> WALKING TO ${x},${y}`);
+
+        const walk = this.walk = { path };
+
+        for (const [nx, ny] of path) {
+            if (this.walk !== walk || !this.canMove) break;
+
+            const [px, py] = avatar.position;
+            await this.move(nx - px, ny - py);
+
+            // blocked by something the path didn't expect
+            const [ax, ay] = avatar.position;
+            if (ax !== nx || ay !== ny) break;
+
+            // sliding already paces the steps
+            if (!FIELD(avatar, "move-speed", "json")) await sleep(WALK_STEP_DELAY * 1000);
+        }
+
+        if (this.walk === walk) this.stopWalking();
+    }
+
+    stopWalking() {
+        this.walk = undefined;
+    }
+
     eventDebugInfo(event) {
         const tags = allEventTags(event).join(", ");
         const info = tags.length > 0 ? `(tags: ${tags}) ` : "";
@@ -1019,28 +2944,51 @@ class BipsiPlayback extends EventTarget {
      */
     async touch(event) {
         this.log(`> TOUCHING EVENT ${this.eventDebugInfo(event)}`);
+        this.stopWalking();
     
         const touch = oneField(event, "touch", "javascript")?.data;
+        const inkKnot = oneField(event, "ink-knot", "text")?.data;
+
+        const inkFlowKnot = oneField(event, "ink-flow-knot", "text")?.data;
 
         const tags = allTags(event);
 
-        // do we have a choice that can be triggered by this event ?
-        const choices = this.story.currentChoices
-        const taggedChoice = choices.find(choice => {
+        // do we have a choice that can be triggered by this event ? look in
+        // the main flow first, then in the other flows still running
+        const isTaggedChoice = (choice) => {
             if(choice.text.substr(0,4) == "tag:"){
                 const tagvalue = choice.text.substr(4).trim();
                 if(tags.includes(tagvalue)) return true
                 return false;
             }
             return false;
-        })
+        }
+
+        let taggedChoice, taggedFlow;
+        for (const flow of [undefined, ...this.story.aliveFlowNames]) {
+            taggedChoice = this.inFlow(flow, () => this.story.currentChoices).find(isTaggedChoice);
+            taggedFlow = flow;
+            if (taggedChoice !== undefined) break;
+        }
 
         if (touch !== undefined) {
             await this.runJS(event, touch);
         }else if(taggedChoice !== undefined){
             await this.runJS(event, BEHAVIOUR_BEFORE);
-            this.story.ChooseChoiceIndex(taggedChoice.index)
-            await this.continueStory(event);
+            this.inFlow(taggedFlow, () => this.story.ChooseChoiceIndex(taggedChoice.index))
+            await this.continueStory(event, taggedFlow);
+            await standardEventTouch(this, event);
+            await this.runJS(event, BEHAVIOUR_AFTER);
+            this.proceed();
+        }else if(inkKnot){
+            await this.runJS(event, BEHAVIOUR_BEFORE);
+            await this.divertTo(inkKnot, event);
+            await standardEventTouch(this, event);
+            await this.runJS(event, BEHAVIOUR_AFTER);
+            this.proceed();
+        }else if(inkFlowKnot){
+            await this.runJS(event, BEHAVIOUR_BEFORE);
+            await this.continueEventFlow(event);
             await standardEventTouch(this, event);
             await this.runJS(event, BEHAVIOUR_AFTER);
             this.proceed();
@@ -1051,8 +2999,9 @@ class BipsiPlayback extends EventTarget {
         }
     }
 
-    async runJS(event, js) {
+    async runJS(event, js, extraDefines={}) {
         const defines = this.makeScriptingDefines(event);
+        Object.assign(defines, extraDefines);
         const names = Object.keys(defines).join(", ");
         const preamble = `const { ${names} } = this;\n`;
 
@@ -1075,18 +3024,105 @@ class BipsiPlayback extends EventTarget {
         return defines;
     }
 
-    playMusic(src) {
+    /**
+     * @param {string} src 
+     * @param {number} fade seconds to crossfade from the current music
+     */
+    playMusic(src, fade=0) {
+        // the same track carries on
+        if (this.music.getAttribute("src") === src) return;
+
+        if (fade > 0) {
+            this.stopMusic(fade);
+            this.fadeMusic(this.music, 0, 1, fade);
+        } else {
+            this.musicFades.delete(this.music);
+            this.music.volume = this.getMusicVolume();
+        }
+
         this.music.src = src;
         this.autoplay = true;
         this.music.play();
     }
 
-    stopMusic() {
-        this.music.pause();
-        this.music.removeAttribute("src");
+    /**
+     * @param {number} fade seconds to fade the current music out over
+     */
+    stopMusic(fade=0) {
+        if (fade > 0 && this.music.getAttribute("src")) {
+            // let the old track fade out on its own while a new one can start
+            const music = this.music;
+            this.fadeMusic(music, this.musicFades.get(music)?.to ?? 1, 0, fade);
+            this.music = makeMusicElement();
+        } else {
+            this.musicFades.delete(this.music);
+            this.music.pause();
+            this.music.removeAttribute("src");
+        }
         this.autoplay = false;
     }
 
+    /**
+     * @param {number} volume from 0 to 1, for all music 
+     */
+    setMusicVolume(volume) {
+        this.musicVolume = Math.max(0, Math.min(1, volume));
+        if (!this.musicFades.has(this.music)) this.music.volume = this.getMusicVolume();
+    }
+
+    /**
+     * @returns {number} the volume set for the music by the game, turned down
+     * by the player's settings
+     */
+    getMusicVolume() {
+        return this.musicVolume * this.settings.musicVolume;
+    }
+
+    /**
+     * @param {HTMLAudioElement} music 
+     * @param {number} from volume level, relative to the music volume
+     * @param {number} to 
+     * @param {number} duration seconds
+     */
+    fadeMusic(music, from, to, duration) {
+        this.musicFades.set(music, { from, to, duration, time: 0 });
+        music.volume = from * this.getMusicVolume();
+    }
+
+    /** @param {number} dt */
+    updateMusicFades(dt) {
+        this.musicFades.forEach((fade, music) => {
+            fade.time = Math.min(fade.time + dt, fade.duration);
+            const level = fade.from + (fade.to - fade.from) * (fade.time / fade.duration);
+            music.volume = level * this.getMusicVolume();
+
+            if (fade.time < fade.duration) return;
+            this.musicFades.delete(music);
+
+            // faded out tracks are gone for good
+            if (fade.to === 0 && music !== this.music) {
+                music.pause();
+                music.removeAttribute("src");
+            }
+        });
+    }
+
+    /**
+     * Play the music of a room, if it has any.
+     * @param {BipsiDataRoom} room 
+     */
+    playRoomMusic(room, fade=ROOM_MUSIC_FADE) {
+        if (!room.music) return;
+
+        const library = getEventById(this.data, this.libraryId);
+        const file = library && FIELD(library, room.music, "file");
+        if (file) {
+            this.playMusic(this.getFileObjectURL(file), fade);
+        } else {
+            this.log(`> NO MUSIC FILE "${room.music}" IN LIBRARY FOR ROOM ${room.id}`);
+        }
+    }
+
     setBackground(image) {
         this.background = image;
     }
@@ -1100,7 +3136,7 @@ class BipsiPlayback extends EventTarget {
             this.hideImage(imageID);
         } else {
             const images = fileIDs.map((fileID) => this.getFileImageElement(fileID));
-            this.images.set(imageID, { image: images, layer, x, y });
+            this.images.set(imageID, { image: images, fileIDs, layer, x, y });
             return Promise.all(images.map(imageLoadWaiter));
         }
     }
@@ -1128,8 +3164,58 @@ class BipsiPlayback extends EventTarget {
     getActivePalette() {
         const avatar = getEventById(this.data, this.avatarId);
         const room = roomFromEvent(this.data, avatar);
+        return this.getRoomPalette(room);
+    }
+
+    /**
+     * The palette a room is shown with right now, with its colors cycled
+     * and blended from its previous palette if it is changing.
+     * @param {BipsiDataRoom} room 
+     * @returns {BipsiDataPalette}
+     */
+    getRoomPalette(room) {
         const palette = getPaletteById(this.data, room.palette);
-        return palette;
+        let colors = cyclePaletteColors(palette, this.paletteTime);
+
+        const fade = this.paletteFades.get(room.id);
+        if (fade) {
+            const u = Math.min(1, fade.time / fade.duration);
+            colors = colors.map((color, i) => mixHex(fade.from[i] ?? color, color, u));
+        }
+
+        return { ...palette, colors };
+    }
+
+    /**
+     * Change the palette of a room, blending from the colors it shows now.
+     * @param {BipsiDataRoom} room 
+     * @param {BipsiDataPalette} palette 
+     * @param {number} duration seconds to blend over, 0 to change at once
+     * @returns {Promise} resolves when the room shows the new palette
+     */
+    setRoomPalette(room, palette, duration=0) {
+        const from = this.getRoomPalette(room).colors;
+        this.paletteFades.get(room.id)?.resolve();
+        this.paletteFades.delete(room.id);
+
+        this.log(`> ROOM ${room.id} PALETTE ${palette.name ?? palette.id}`);
+        room.palette = palette.id;
+
+        if (!(duration > 0)) return Promise.resolve();
+        return new Promise((resolve) => {
+            this.paletteFades.set(room.id, { from, duration, time: 0, resolve });
+        });
+    }
+
+    updatePaletteFades(dt) {
+        this.paletteTime += dt;
+        this.paletteFades.forEach((fade, id) => {
+            fade.time += dt;
+            if (fade.time < fade.duration) return;
+
+            fade.resolve();
+            this.paletteFades.delete(id);
+        });
     }
 }
 
@@ -1226,6 +3312,25 @@ function parseFakedown(text) {
     return text;
 }
 
+/**
+ * @returns {HTMLAudioElement} 
+ */
+function makeMusicElement() {
+    const music = document.createElement("audio");
+    music.loop = true;
+    return music;
+}
+
+/**
+ * Dialogue text without its styling markup, e.g for the transcript.
+ * @param {string} script 
+ */
+function scriptToPlainText(script) {
+    return parseFakedown(script)
+        .replace(/{(br|pg)}/g, "\n")
+        .replace(/{[^}]*}/g, "");
+}
+
 /**
  * @param {BipsiDataEvent} event 
  * @param {string} name 
@@ -1327,11 +3432,22 @@ const SCRIPTING_FUNCTIONS = {
         return findEventByTag(this.PLAYBACK.data, tag); 
     },
 
-    PLAY_MUSIC(file) {
-        this.PLAYBACK.playMusic(this.PLAYBACK.getFileObjectURL(file));
+    PLAY_MUSIC(file, fade=0) {
+        this.PLAYBACK.playMusic(this.PLAYBACK.getFileObjectURL(file), fade);
+    },
+    STOP_MUSIC(fade=0) {
+        this.PLAYBACK.stopMusic(fade);
     },
-    STOP_MUSIC() {
-        this.PLAYBACK.stopMusic();
+    MUSIC_VOLUME(volume=undefined) {
+        if (volume !== undefined) this.PLAYBACK.setMusicVolume(volume);
+        return this.PLAYBACK.musicVolume;
+    },
+
+    PLAY_SOUND(file, options={}) {
+        return this.PLAYBACK.playSound(file, options);
+    },
+    STOP_SOUNDS() {
+        this.PLAYBACK.stopSounds();
     },
 
     SHOW_IMAGE(id, files, layer, x, y) {
@@ -1374,8 +3490,29 @@ const SCRIPTING_FUNCTIONS = {
         return standardEventTouch(this.PLAYBACK, this.EVENT); 
     },
 
-    MOVE(event, location) {
-        moveEvent(this.PLAYBACK.data, event, location); 
+    TRANSITION(type, seconds=undefined, options={}) {
+        const { type: parsed, seconds: parsedSeconds, ...parsedOptions } = parseTransition(type);
+        seconds = seconds ?? parsedSeconds ?? SCREEN_TRANSITION_TIME;
+        return this.PLAYBACK.startTransition(parsed, seconds, { ...parsedOptions, ...options });
+    },
+    SHAKE(strength=SHAKE_STRENGTH, seconds=SHAKE_TIME) {
+        return this.PLAYBACK.startShaking(strength, seconds);
+    },
+
+    SET_ROOM_PALETTE(room, palette, seconds=0) {
+        const target = typeof room === "object" ? room : getRoomById(this.PLAYBACK.data, room);
+        const replacement = typeof palette === "object" ? palette : findPalette(this.PLAYBACK.data, palette);
+        if (!target) throw new Error(`no room ${room}`);
+        if (!replacement) throw new Error(`no palette ${palette}`);
+        return this.PLAYBACK.setRoomPalette(target, replacement, seconds);
+    },
+
+    MOVE(event, location, speed=FIELD(event, "move-speed", "json")) {
+        // finish along with any scripts the move triggers
+        return Promise.all([
+            this.PLAYBACK.placeEvent(event, location, speed),
+            this.PLAYBACK.checkTriggers(),
+        ]).then(() => {});
     },
 
     FIELD,
@@ -1432,12 +3569,20 @@ const SCRIPTING_FUNCTIONS = {
             if (dir === ".") {
                 await sleep(wait * 1000);
             } else {
-                let [x, y] = event.position;
+                const from = event.position;
+                const [width, height] = getRoomSize(roomFromEvent(this.PLAYBACK.data, event));
+                let [x, y] = from;
                 const [dx, dy] = WALK_DIRECTIONS[dir];
-                x = Math.max(0, Math.min(ROOM_SIZE - 1, x + dx));
-                y = Math.max(0, Math.min(ROOM_SIZE - 1, y + dy));
+                x = Math.max(0, Math.min(width - 1, x + dx));
+                y = Math.max(0, Math.min(height - 1, y + dy));
                 event.position = [x, y];
-                await sleep(delay * 1000);
+                // a step takes at least the delay, or longer if sliding or
+                // the scripts it triggers are slower
+                await Promise.all([
+                    this.PLAYBACK.tweenEvent(event, from, FIELD(event, "move-speed", "json")),
+                    this.PLAYBACK.checkTriggers(),
+                    sleep(delay * 1000),
+                ]);
             }
         }
     },
@@ -1504,8 +3649,14 @@ const SCRIPTING_FUNCTIONS = {
     },
     DIVERT_TO(knot_name) {
         this.STORY.ChoosePathString(knot_name);
-        return this.PLAYBACK.continueStory();
-    }
+        return this.PLAYBACK.continueStory(this.EVENT);
+    },
+    SAVE_GAME(slot=undefined) {
+        return this.PLAYBACK.saveGame(slot);
+    },
+    LOAD_GAME(slot=undefined) {
+        return this.PLAYBACK.loadGame(slot);
+    },
 }
 
 /**
@@ -1518,7 +3669,8 @@ function addScriptingConstants(defines, playback, event) {
     defines.AVATAR = getEventById(playback.data, playback.avatarId);
     defines.LIBRARY = getEventById(playback.data, playback.libraryId);
     defines.EVENT = event;
-    defines.PALETTE = playback.getActivePalette();
+    // the palette data itself, not the colors cycled or blended for display
+    defines.PALETTE = getPaletteById(playback.data, roomFromEvent(playback.data, defines.AVATAR).palette);
 
     defines.DIALOGUE = playback.dialoguePlayback.waiter;
     defines.DIALOG = defines.DIALOGUE;
@@ -66,7 +66,15 @@ wrap.before(BipsiPlayback.prototype, "init", function() {
         bottom: "1px", "right": "10px",
     });
 
-    const panel = html("div", {}, chars, nextPrompt, donePrompt);
+    const countdown = html("div", {});
+    Object.assign(countdown.style, {
+        position: "absolute",
+        bottom: "2px", "left": "8px",
+        height: "1px",
+        background: "currentColor",
+    });
+
+    const panel = html("div", {}, chars, nextPrompt, donePrompt, countdown);
     Object.assign(panel.style, PANEL_CSS);
 
     const root = html("div", {}, panel);
@@ -74,7 +82,7 @@ wrap.before(BipsiPlayback.prototype, "init", function() {
 
     ONE("#player").append(root);
 
-    this.dialoguePlayback = new DialoguePlaybackDOM({ root, panel, chars, nextPrompt, donePrompt });
+    this.dialoguePlayback = new DialoguePlaybackDOM({ root, panel, chars, nextPrompt, donePrompt, countdown });
     this.dialoguePlayback.options.font = this.font;
 });
 
@@ -90,6 +98,11 @@ class DialoguePlaybackDOM extends EventTarget {
         
         this.options = {};
 
+        // player settings: text reveal speed multiplier, and whether to skip
+        // the moving text effects
+        this.textSpeed = 1;
+        this.reducedMotion = false;
+
         // an awaitable that generates a new promise that resolves once no dialogue is active
         /** @type {PromiseLike<void>} */
         this.waiter = {
@@ -124,6 +137,7 @@ class DialoguePlaybackDOM extends EventTarget {
         const prev = this.currentPage;
         this.currentPage = page;
         this.pageTime = 0;
+        this.timedOut = false;
         this.showGlyphCount = 0;
         this.showGlyphElapsed = 0;
         this.pageGlyphCount = page ? page.glyphs.length : 0;
@@ -169,6 +183,24 @@ class DialoguePlaybackDOM extends EventTarget {
         });
     }
 
+    /**
+     * @param {DialoguePage} page 
+     * @param {string} script 
+     */
+    rewritePage(page, script) {
+        script = parseFakedown(script);
+        const [glyphs] = scriptToPages_html(script);
+        glyphs.forEach((glyph) => glyph.hidden = false);
+        page.glyphs = glyphs;
+
+        if (page === this.currentPage) {
+            this.pageGlyphCount = glyphs.length;
+            this.showGlyphCount = glyphs.length;
+            const elements = page.glyphs.map((glyph) => html("span", {}, glyph.char));
+            this.elements.chars.replaceChildren(...elements);
+        }
+    }
+
     /** @param {number} dt */
     async update(dt) {
         if (this.empty) {
@@ -183,10 +215,17 @@ class DialoguePlaybackDOM extends EventTarget {
 
         const options = this.getOptions(this.currentPage.options);
 
-        while (this.showGlyphElapsed > options.glyphRevealDelay && this.showGlyphCount < this.pageGlyphCount) {
-            this.showGlyphElapsed -= options.glyphRevealDelay;
+        const revealDelay = options.glyphRevealDelay / this.textSpeed;
+        while (this.showGlyphElapsed > revealDelay && this.showGlyphCount < this.pageGlyphCount) {
+            this.showGlyphElapsed -= revealDelay;
             this.revealNextChar();
             this.applyStyle();
+            this.dispatchEvent(new CustomEvent("reveal", { detail: { page: this.currentPage, index: this.showGlyphCount - 1 } }));
+        }
+
+        if (options.timeout && !this.timedOut && this.pageTime >= options.timeout) {
+            this.timedOut = true;
+            this.dispatchEvent(new CustomEvent("timeout", { detail: this.currentPage }));
         }
 
         this.elements.chars.dir = options.rtl ? "rtl" : null;
@@ -234,6 +273,11 @@ class DialoguePlaybackDOM extends EventTarget {
 
         this.elements.nextPrompt.hidden = !showNext;
         this.elements.donePrompt.hidden = !showDone;
+
+        const timeout = this.getOptions(this.currentPage.options).timeout;
+        const remaining = timeout ? Math.max(0, 1 - this.pageTime / timeout) : 0;
+        this.elements.countdown.hidden = !timeout;
+        this.elements.countdown.style.width = `calc((100% - 16px) * ${remaining})`;
     }
 
     getOptions(options) {
@@ -301,6 +345,10 @@ class DialoguePlaybackDOM extends EventTarget {
 
             if (glyph.styles.has("r"))
                 glyph.hidden = false;
+            if (this.reducedMotion) {
+                glyph.offset = { x: 0, y: 0 };
+                return;
+            }
             if (glyph.styles.has("shk")) 
                 glyph.offset = { x: getRandomFloat(-1, 1), y: getRandomFloat(-1, 1) };
             if (glyph.styles.has("wvy"))
@@ -33,7 +33,7 @@ wrap.after(BipsiPlayback.prototype, "addLayersToScene", async function(scene, de
 
     for (const location of locations) {
         const room = getRoomById(this.data, location.room);
-        const palette = getPaletteById(this.data, room.palette);
+        const palette = this.getRoomPalette(room);
         const tileset = this.stateManager.resources.get(this.data.tileset);
 
         const [fx, fy] = avatar.position;
@@ -42,6 +42,6 @@ wrap.after(BipsiPlayback.prototype, "addLayersToScene", async function(scene, de
         if (solid)
             continue;
 
-        scene.push({ layer: 2.5, func: upscaler(() => drawTilemapLayer(TEMP_ROOM, tileset, tileToFrame, palette, room)) });
+        scene.push({ layer: 2.5, func: upscaler(() => drawTilemapLayer(TEMP_ROOM, tileset, tileToFrame, palette, room, this.camera)) });
     }
 });
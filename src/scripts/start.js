@@ -31,6 +31,42 @@ async function startEditor(font) {
     return editor;
 }
 
+// the inputs of each player action, see makePlayback
+const DEFAULT_CONTROLS = {
+    "up": ["ArrowUp", "KeyW", "Gamepad12", "StickUp"],
+    "down": ["ArrowDown", "KeyS", "Gamepad13", "StickDown"],
+    "left": ["ArrowLeft", "KeyA", "Gamepad14", "StickLeft"],
+    "right": ["ArrowRight", "KeyD", "Gamepad15", "StickRight"],
+    "confirm": ["Enter", "Space", "Gamepad0"],
+    "transcript": ["KeyL", "Gamepad3"],
+    "options": ["Escape", "Gamepad9"],
+};
+
+/**
+ * Merge a "controls" field over the defaults, keeping the default inputs of
+ * any action that isn't given as an array of input names.
+ * @param {any} custom
+ * @param {(message: string) => void} report told about each action left out
+ * @returns {{ [action: string]: string[] }}
+ */
+function parseControls(custom, report = () => {}) {
+    const controls = { ...DEFAULT_CONTROLS };
+    if (!custom || typeof custom !== "object") return controls;
+
+    Object.keys(DEFAULT_CONTROLS).forEach((action) => {
+        const inputs = custom[action];
+        if (inputs === undefined) return;
+
+        if (Array.isArray(inputs) && inputs.every((input) => typeof input === "string")) {
+            controls[action] = inputs;
+        } else {
+            report(`> BAD controls "${action}": should be a list of input names`);
+        }
+    });
+
+    return controls;
+}
+
 async function makePlayback(font, bundle, story) {
     const playback = new BipsiPlayback(font);
     await playback.initWithStory(story);
@@ -57,23 +93,32 @@ async function makePlayback(font, bundle, story) {
     // update the canvas size initially
     scaleElementToParent(playCanvas.parentElement);
 
+    // which inputs do what: key names or key codes (which don't depend on
+    // the keyboard layout), gamepad buttons by index and the gamepad stick.
+    // the player event can change these with a "controls" json field
+    let controls = DEFAULT_CONTROLS;
+    const findAction = (...inputs) => Object.keys(controls).find((action) => inputs.some((input) => controls[action].includes(input)));
+
     let moveCooldown = 0;
-    const heldKeys = new Set();
-    const keys = new Map();
-    keys.set("ArrowLeft",  () => playback.move(-1,  0));
-    keys.set("ArrowRight", () => playback.move( 1,  0));
-    keys.set("ArrowUp",    () => playback.move( 0, -1));
-    keys.set("ArrowDown",  () => playback.move( 0,  1));
-
-    const keyToCode = new Map();
-    keyToCode.set("ArrowUp", "KeyW");
-    keyToCode.set("ArrowLeft", "KeyA");
-    keyToCode.set("ArrowDown", "KeyS");
-    keyToCode.set("ArrowRight", "KeyD");
-
-    function doMove(key) {
-        const move = keys.get(key);
+    const heldActions = new Set();
+    const moves = new Map();
+    moves.set("left",  () => playback.move(-1,  0));
+    moves.set("right", () => playback.move( 1,  0));
+    moves.set("up",    () => playback.move( 0, -1));
+    moves.set("down",  () => playback.move( 0,  1));
+
+    // what the choice menu understands
+    const actionToChoice = new Map();
+    actionToChoice.set("up", "ArrowUp");
+    actionToChoice.set("left", "ArrowLeft");
+    actionToChoice.set("down", "ArrowDown");
+    actionToChoice.set("right", "ArrowRight");
+    actionToChoice.set("confirm", "Enter");
+
+    function doMove(action) {
+        const move = moves.get(action);
         if (move) {
+            playback.stopWalking();
             move();
             moveCooldown = .2;
         }
@@ -84,6 +129,27 @@ async function makePlayback(font, bundle, story) {
         playback.dispatchEvent(choiceEvent);
     }
 
+    // gamepads can't send events, so they are polled and their inputs
+    // pressed and released like keys
+    let padInputs = new Set();
+    function pollGamepads() {
+        const inputs = new Set();
+        for (const pad of navigator.getGamepads?.() ?? []) {
+            if (!pad) continue;
+            pad.buttons.forEach((button, i) => button.pressed && inputs.add(`Gamepad${i}`));
+
+            const [x = 0, y = 0] = pad.axes;
+            if (x < -.5) inputs.add("StickLeft");
+            if (x >  .5) inputs.add("StickRight");
+            if (y < -.5) inputs.add("StickUp");
+            if (y >  .5) inputs.add("StickDown");
+        }
+
+        inputs.forEach((input) => padInputs.has(input) || down(input));
+        padInputs.forEach((input) => inputs.has(input) || up(input));
+        padInputs = inputs;
+    }
+
     let prev;
     const timer = (next) => {
         prev = prev ?? Date.now();
@@ -93,58 +159,106 @@ async function makePlayback(font, bundle, story) {
         prev = next;
         window.requestAnimationFrame(timer);
 
+        pollGamepads();
+
         if (moveCooldown === 0) {
-            const key = Array.from(keys.keys()).find((key) => heldKeys.has(key) || heldKeys.has(keyToCode.get(key)));
-            if (key) doMove(key);
+            const action = Array.from(moves.keys()).find((action) => heldActions.has(action));
+            if (action) doMove(action);
         }
 
         playback.update(dt);
     }
     timer();
 
-    function down(key, code) {
+    /**
+     * @param {...string} inputs names of the pressed key or button
+     */
+    function down(...inputs) {
+        const action = findAction(...inputs);
+
+        // the options overlay is a plain form, only closing it is handled
+        if (playback.optionsOpen) {
+            if (action === "options") playback.toggleOptions(false);
+            return;
+        }
+
+        // the transcript takes every input while it is open
+        if (playback.transcriptOpen) {
+            const scrolls = { "up": -.25, "down": .25, "left": -1, "right": 1 };
+            if (action in scrolls) playback.scrollTranscript(scrolls[action]);
+            else if (action === "transcript" || action === "options") playback.toggleTranscript(false);
+            return;
+        } else if (action === "transcript") {
+            return playback.toggleTranscript(true);
+        } else if (action === "options") {
+            return playback.toggleOptions(true);
+        }
+
         if (!playback.canMove) {
             const dialog_is_completed = playback.dialoguePlayback.showGlyphCount === playback.dialoguePlayback.pageGlyphCount;
             if(playback.choiceExpected && dialog_is_completed){
-                const keyChoice = ([...keyToCode.entries()].find( ([k,v]) => v == `Key${key.toUpperCase()}`) || [key])[0]
-                return doChoice(keyChoice);
+                return doChoice(actionToChoice.get(action) ?? inputs[0]);
             };
             playback.proceed();
-        } else {
-            heldKeys.add(key);
-            heldKeys.add(code);
-            doMove(key);
+        } else if (action) {
+            heldActions.add(action);
+            doMove(action);
         }
     }
 
-    function up(key, code) {
-        heldKeys.delete(key);
-        heldKeys.delete(code);
+    /**
+     * @param {...string} inputs names of the released key or button
+     */
+    function up(...inputs) {
+        heldActions.delete(findAction(...inputs));
     }
 
-    const turnToKey = ["ArrowRight", "ArrowDown", "ArrowLeft", "ArrowUp"];
+    const turnToAction = ["right", "down", "left", "up"];
     let ignoreMouse = false;
 
     window.onblur = () => setTimeout(() => ignoreMouse = true, 0);
     window.onfocus = () => setTimeout(() => ignoreMouse = false, 0);
 
     document.addEventListener("keydown", (event) => {
+        const formKeys = playback.optionsOpen;
         if (!event.repeat) down(event.key, event.code);
-        if (keys.has(event.key)) {
+
+        // leave keys alone for the options form
+        if (!formKeys && moves.has(findAction(event.key, event.code))) {
             event.stopPropagation();
             event.preventDefault();
         }
     }, { capture: true });
     document.addEventListener("keyup", (event) => up(event.key, event.code));
 
+    ONE("#transcript-export").addEventListener("click", () => playback.exportTranscript());
+
+    const optionInputs = {
+        musicVolume: ONE("[name=options-music-volume]"),
+        soundVolume: ONE("[name=options-sound-volume]"),
+        textSpeed: ONE("[name=options-text-speed]"),
+    };
+    Object.entries(optionInputs).forEach(([setting, input]) => {
+        input.addEventListener("input", () => playback.changeSettings({ [setting]: parseFloat(input.value) }));
+    });
+    const reducedMotion = ONE("[name=options-reduced-motion]");
+    reducedMotion.addEventListener("change", () => playback.changeSettings({ reducedMotion: reducedMotion.checked }));
+    ONE("#options-resume").addEventListener("click", () => playback.toggleOptions(false));
+    ONE("#options-open").addEventListener("click", () => playback.toggleOptions(true));
+
     document.addEventListener("pointerdown", (event) => {
-        if (ignoreMouse) return;
+        if (ignoreMouse || playback.transcriptOpen || playback.optionsOpen) return;
+        // the pause button handles its own taps
+        if (event.target.closest("#options-open")) return;
 
         const threshold = playCanvas.getBoundingClientRect().width / ROOM_SIZE * 2;
 
         const drag = ui.drag(event);
         let [x0, y0] = [drag.downEvent.clientX, drag.downEvent.clientY];
 
+        // only walk if this tap isn't also dismissing dialogue
+        const canWalk = playback.canMove;
+
         if(!playback.choiceExpected){
             playback.proceed();
         };
@@ -157,20 +271,32 @@ async function makePlayback(font, bundle, story) {
             const dist = Math.max(Math.abs(dx), Math.abs(dy));
             const angle = Math.atan2(dy, dx) + Math.PI * 2;
             const turns = Math.round(angle / (Math.PI * .5)) % 4;
-            const nextKey = turnToKey[turns];
+            const nextAction = turnToAction[turns];
 
             if (dist >= threshold) {
                 const dialog_is_completed = playback.dialoguePlayback.showGlyphCount === playback.dialoguePlayback.pageGlyphCount;
                 if(playback.choiceExpected && dialog_is_completed){
-                    return doChoice(nextKey);
+                    doChoice(actionToChoice.get(nextAction));
                 }else{
-                    doMove(nextKey);
-                    x0 = x1;
-                    y0 = y1;
+                    doMove(nextAction);
                 } 
-                
+                x0 = x1;
+                y0 = y1;
             } 
         });
+
+        // tapping confirms the highlighted choice or walks to the tapped cell
+        drag.addEventListener("click", () => {
+            const dialog_is_completed = playback.dialoguePlayback.showGlyphCount === playback.dialoguePlayback.pageGlyphCount;
+            if(playback.choiceExpected && dialog_is_completed){
+                doChoice("Enter");
+            } else if (canWalk) {
+                const { x, y } = mouseEventToCanvasPixelCoords(playCanvas, drag.lastEvent);
+                const cellSize = playCanvas.width / ROOM_SIZE;
+                const [cx, cy] = playback.camera;
+                playback.walkTo(Math.floor(x / cellSize + cx), Math.floor(y / cellSize + cy));
+            }
+        });
     });
 
     async function captureGif() {
@@ -187,8 +313,9 @@ async function makePlayback(font, bundle, story) {
         const current = getLocationOfEvent(playback.data, getEventById(playback.data, playback.avatarId));
         const rooms = [];
         const thumb = createRendering2D(ROOM_SIZE, ROOM_SIZE);
-        const preview = createRendering2D(ROOM_PX, ROOM_PX);
         playback.data.rooms.forEach((room) => {
+            const [width, height] = getRoomSize(room);
+            const preview = createRendering2D(width * TILE_PX, height * TILE_PX);
             drawRoomPreviewPlayback(preview, playback, room.id);
             drawRoomThumbPlayback(thumb, playback, room.id);
             rooms.push({ id: room.id, thumb: thumb.canvas.toDataURL(), preview: preview.canvas.toDataURL() });
@@ -223,6 +350,10 @@ async function makePlayback(font, bundle, story) {
 
     document.documentElement.setAttribute("data-app-mode", "player");
     await playback.loadBundle(bundle);
+
+    const player = findEventByTag(playback.data, "is-player");
+    controls = parseControls(player && FIELD(player, "controls", "json"), (message) => playback.log(message));
+
     playback.start();
 
     return playback;
@@ -429,6 +429,57 @@ function computeLineWidth(font, line) {
     return widths.reduce((a, b) => a + b);
 }
 
+/**
+ * Cut a script down to what fits on a single line, ending it with an
+ * ellipsis if anything had to go. Style markup is kept, even after the cut,
+ * so styles opened before it are still closed.
+ * @param {string} script 
+ * @param {BlitsyFont} font 
+ * @param {number} lineWidth 
+ * @param {string} ellipsis
+ * @returns {string}
+ */
+function truncateScript(script, font, lineWidth, ellipsis = "...") {
+    // same as how glyphs are laid out, where unknown characters show as ?
+    const charWidth = (char) => (getFontChar(font, char) ?? getFontChar(font, "?"))?.spacing ?? 0;
+    const measure = (text) => Array.from(text).reduce((width, char) => width + charWidth(char), 0);
+    const tokens = tokeniseScript(script);
+    const isBreak = ([type, buffer]) => type === "markup" && (buffer === "br" || buffer === "pg");
+
+    const textWidth = measure(tokens.filter(([type]) => type === "text").map(([, buffer]) => buffer).join(""));
+    if (textWidth <= lineWidth && !tokens.some(isBreak)) return script;
+
+    const limit = lineWidth - measure(ellipsis);
+    let width = 0;
+    let cut = false;
+    let result = "";
+
+    // the ellipsis goes where the text stops, in whatever style it had there
+    for (const token of tokens) {
+        const [type, buffer] = token;
+        if (cut) {
+            if (type === "markup" && !isBreak(token)) result += `{${buffer}}`;
+        } else if (isBreak(token)) {
+            cut = true;
+            result += ellipsis;
+        } else if (type === "markup") {
+            result += `{${buffer}}`;
+        } else {
+            for (const char of buffer) {
+                width += charWidth(char);
+                if (width > limit) {
+                    cut = true;
+                    result += ellipsis;
+                    break;
+                }
+                result += char;
+            }
+        }
+    }
+
+    return result;
+}
+
 /**
  * Segment the given array into contiguous runs of elements that are not 
  * considered breakable.